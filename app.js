@@ -2,16 +2,146 @@
 // Data stored in a local JSON file using File System Access API
 
 const FILE_HANDLE_KEY = 'okr_last_file';
+const WORKSPACE_KEY = 'okr_workspace';
+const BACKUP_DIR_KEY = 'okr_backup_dir';
+const ATTACHMENTS_DIR_KEY = 'okr_attachments_dir';
+const ATTACHMENTS_FOLDER = 'attachments';
+const BACKUP_SETTINGS_KEY = 'okr_backup_settings';
+const TAB_WRITE_KEY = 'okr_last_tab_write';
+const SYNC_CHANNEL_NAME = 'okr-tracker-sync';
+const WRITE_LOCK_NAME = 'okr-tracker-write';
+const HISTORY_LIVE_LIMIT = 1000; // Older entries are moved to data.archive
+const SNAPSHOT_WEEKLY_AFTER_DAYS = 90; // Archived snapshots older than this are kept one per week
+const HISTORY_PAGE_SIZE = 200;
+const SAVE_DEBOUNCE_MS = 500;
+const SAVE_RETRY_MS = 5000;
+const SAVE_RETRY_MAX_MS = 60 * 1000;
+const JSON_FILE_TYPES = [{
+    description: 'JSON Files',
+    accept: { 'application/json': ['.json'] }
+}];
 const LOCALSTORAGE_DATA_KEY = 'okr_data_cache';
+const SERVER_URL_KEY = 'okr_server_url';
+const SERVER_TOKEN_KEY = 'okr_server_token';
+const SERVER_POLL_MS = 30 * 1000;
+const PBKDF2_ITERATIONS = 310000;
+const TEMPLATES_FORMAT = 'okr-templates'; // "format" of exported template files
+const DATE_PLACEHOLDER_PATTERN = /^\{\{quarter(Start|End)([+-]\d+)?\}\}$/; // Template dates relative to the quarter
 let fileHandle = null;
-let data = { objectives: [], history: [] };
-let selectedGroupFilter = null; // null = show all, 'Personal'/'Team'/'Company' = filter by group
+let browserWorkspaceName = null; // Name of the working copy kept in IndexedDB (browser storage mode)
+let serverUrl = localStorage.getItem(SERVER_URL_KEY); // Base URL of the OKR Tracker server (server storage mode)
+let serverToken = localStorage.getItem(SERVER_TOKEN_KEY); // Access token the server requires for changes
+let data = createEmptyData();
+let lastKnownModified = null; // Storage lastModified when data was last loaded or saved
+let baseData = null; // Copy of the stored document at lastKnownModified (common ancestor for merges)
+let encryptionKey = null; // AES-GCM key derived from the passphrase; null = plain JSON file
+let encryptionSalt = null; // PBKDF2 salt the key was derived with
+let selectedGroupFilter = null; // null = show all, otherwise the name of the group to show
+let selectedOwnerFilter = ''; // '' = everyone, otherwise the id of the person whose OKRs to show
 
 // Check if File System Access API is supported
 const isFileSystemSupported = 'showOpenFilePicker' in window;
 
+// Storage mode: 'file' uses the File System Access API, 'browser' keeps the
+// working copy in IndexedDB and relies on explicit Import/Download JSON,
+// 'server' reads and writes the document on an OKR Tracker server (server/server.js)
+let storageMode = serverUrl ? 'server' : (isFileSystemSupported ? 'file' : 'browser');
+
+// Storage adapters - each one reads and writes the serialized data document
+const storageAdapters = {
+    file: {
+        isConnected: () => !!fileHandle,
+        getName: () => fileHandle ? fileHandle.name : null,
+        async read() {
+            const file = await fileHandle.getFile();
+            return file.text();
+        },
+        async getLastModified() {
+            const file = await fileHandle.getFile();
+            return file.lastModified;
+        },
+        async write(text) {
+            const writable = await fileHandle.createWritable();
+            await writable.write(text);
+            await writable.close();
+        }
+    },
+    browser: {
+        isConnected: () => browserWorkspaceName !== null,
+        getName: () => browserWorkspaceName ? `${browserWorkspaceName} (browser storage)` : null,
+        async read() {
+            const workspace = await idbGet('workspace', WORKSPACE_KEY);
+            return workspace ? workspace.text : null;
+        },
+        async getLastModified() {
+            const workspace = await idbGet('workspace', WORKSPACE_KEY);
+            return workspace ? Date.parse(workspace.savedAt) : null;
+        },
+        async write(text) {
+            await idbPut('workspace', {
+                name: browserWorkspaceName,
+                text: text,
+                savedAt: new Date().toISOString()
+            }, WORKSPACE_KEY);
+        }
+    },
+    server: {
+        isConnected: () => serverUrl !== null,
+        getName: () => serverUrl ? `${new URL(serverUrl).host} (server)` : null,
+        async read() {
+            const response = await fetchServer('/api/data');
+            return response.text();
+        },
+        async getLastModified() {
+            const response = await fetchServer('/api/data/last-modified');
+            return (await response.json()).lastModified;
+        },
+        // Returns the server's new lastModified, so a write by someone else right
+        // after ours can't be mistaken for our own
+        async write(text) {
+            // Never replace the team's data with what's left after a failed load
+            if (lastKnownModified === null) {
+                throw new Error('The data has not been loaded from the server yet. Reload the page.');
+            }
+            const headers = {
+                'Content-Type': 'application/json',
+                'X-OKR-Base-Modified': String(lastKnownModified)
+            };
+            const response = await fetchServer('/api/data', { method: 'PUT', headers, body: text });
+            return (await response.json()).lastModified;
+        }
+    }
+};
+
+// Request an endpoint of the OKR Tracker server; rejects with the server's error message
+async function fetchServer(path, options = {}, baseUrl = serverUrl, token = serverToken) {
+    const headers = { ...(options.headers || {}) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(baseUrl + path, { cache: 'no-store', ...options, headers });
+    if (!response.ok) {
+        let message = `Server responded with ${response.status}`;
+        try {
+            message = (await response.json()).error || message;
+        } catch (e) {
+            // Not a JSON error body
+        }
+        throw new Error(message);
+    }
+    return response;
+}
+
+// Get the adapter for the current storage mode
+function getStorage() {
+    return storageAdapters[storageMode];
+}
+
 // Save data to localStorage (autosave cache)
 function saveToLocalStorage() {
+    // Never keep a plaintext copy of an encrypted file
+    if (encryptionKey) {
+        localStorage.removeItem(LOCALSTORAGE_DATA_KEY);
+        return;
+    }
     try {
         if (!data.objectives) {
             data.objectives = [];
@@ -35,16 +165,7 @@ function loadFromLocalStorage() {
     try {
         const cached = localStorage.getItem(LOCALSTORAGE_DATA_KEY);
         if (cached) {
-            const parsed = JSON.parse(cached);
-            // Ensure history array exists
-            if (!parsed.history) {
-                parsed.history = [];
-            }
-            // Ensure objectives array exists
-            if (!parsed.objectives) {
-                parsed.objectives = [];
-            }
-            return parsed;
+            return migrateData(JSON.parse(cached)).data;
         }
     } catch (e) {
         console.warn('Failed to load from localStorage:', e);
@@ -52,34 +173,253 @@ function loadFromLocalStorage() {
     return null;
 }
 
-// Load data from file
+// Tell the user what a migration changed
+function showMigrationReport(report, doc) {
+    const heading = isNewerSchema(doc)
+        ? 'This data file was written by a newer version of OKR Tracker and is opened read-only'
+        : `Your data file was upgraded to schema version ${SCHEMA_VERSION}`;
+    alert(`${heading}:\n\n- ${report.join('\n- ')}`);
+}
+
+// Load data from the active storage (file or browser workspace)
 async function loadFromFile() {
     try {
-        const file = await fileHandle.getFile();
-        const text = await file.text();
-        data = JSON.parse(text);
-        // Ensure history array exists
-        if (!data.history) {
-            data.history = [];
-        }
-        // Ensure objectives array exists
-        if (!data.objectives) {
-            data.objectives = [];
-        }
+        const text = await getStorage().read();
+        const { data: migrated, report } = migrateData(text ? await parseStoredText(text) : createEmptyData());
+        data = migrated;
+        clearUndoHistory();
+        await rememberStoredState();
         // Save to localStorage after loading from file
         saveToLocalStorage();
         // Update charts after loading data
         updateDashboardCharts();
+        // Write the upgraded document back so the report is only shown once
+        if (report.length > 0) {
+            showMigrationReport(report, data);
+            if (!isNewerSchema(data)) {
+                await saveToFile();
+            }
+        }
     } catch (e) {
-        data = { objectives: [], history: [] };
+        // Don't keep storage that couldn't be read connected: a later save would overwrite it with empty data
+        const name = getStorage().getName();
+        disconnectStorage();
+        // Cancelling the passphrase prompt needs no message
+        if (e.name !== 'AbortError') {
+            console.error('Failed to load data:', e);
+            alert(`Could not load ${name}:\n${e.message}`);
+        }
+        data = createEmptyData();
         // Update charts even on error to reset them
         updateDashboardCharts();
     }
 }
 
-// Save data to file
-async function saveToFile() {
-    if (!fileHandle) return;
+// Close the current file or workspace
+function disconnectStorage() {
+    revokeAttachmentUrls();
+    attachmentsDirHandle = null;
+    fileHandle = null;
+    browserWorkspaceName = null;
+    serverUrl = null; // Only for this session; the server is tried again on the next start
+    resetStoredState();
+    clearEncryption();
+}
+
+// Convert between bytes and base64 for the encrypted envelope
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Derive an AES-GCM key from a passphrase with PBKDF2
+async function deriveEncryptionKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Turn encryption off for the current file
+function clearEncryption() {
+    encryptionKey = null;
+    encryptionSalt = null;
+}
+
+// Serialize data for storage: plain JSON, or an encrypted envelope when a passphrase is set.
+// The envelope header is readable JSON; only `ciphertext` holds OKR data.
+async function serializeData() {
+    const text = JSON.stringify(data, null, 2);
+    if (!encryptionKey) return text;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, encryptionKey, new TextEncoder().encode(text));
+    return JSON.stringify({
+        format: ENCRYPTED_FORMAT,
+        version: 1,
+        savedAt: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(encryptionSalt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+    }, null, 2);
+}
+
+// Decrypt an envelope with a key (throws if the key is wrong)
+async function decryptEnvelope(envelope, key) {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) },
+        key,
+        base64ToBytes(envelope.ciphertext)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// Parse stored text, decrypting it if it is an encrypted envelope.
+// adoptKey=true makes the file's encryption state the current one (opening a file);
+// use false for side reads such as backups or external-change checks.
+async function parseStoredText(text, adoptKey = true) {
+    const doc = JSON.parse(text);
+    if (!doc || doc.format !== ENCRYPTED_FORMAT) {
+        if (adoptKey) {
+            clearEncryption();
+        }
+        return doc;
+    }
+    if (!window.crypto || !crypto.subtle) {
+        throw new Error('This browser cannot decrypt files (WebCrypto is unavailable)');
+    }
+    // Reuse the unlocked key when the envelope was written with it
+    if (encryptionKey && doc.kdf.salt === bytesToBase64(encryptionSalt)) {
+        try {
+            return await decryptEnvelope(doc, encryptionKey);
+        } catch (e) {
+            // Fall through and ask for the passphrase
+        }
+    }
+    const salt = base64ToBytes(doc.kdf.salt);
+    let message = `${getStorage().getName() || 'This file'} is encrypted. Enter its passphrase.`;
+    for (;;) {
+        const passphrase = await promptPassphrase(message);
+        if (passphrase === null) {
+            throw Object.assign(new Error('Passphrase entry cancelled'), { name: 'AbortError' });
+        }
+        const key = await deriveEncryptionKey(passphrase, salt, doc.kdf.iterations);
+        try {
+            const plain = await decryptEnvelope(doc, key);
+            if (adoptKey) {
+                encryptionKey = key;
+                encryptionSalt = salt;
+            }
+            return plain;
+        } catch (e) {
+            message = 'Wrong passphrase. Try again.';
+        }
+    }
+}
+
+// Ask for a passphrase; confirmNew asks for it twice (when setting a new one).
+// Resolves null when cancelled.
+async function promptPassphrase(message, confirmNew = false) {
+    const input = document.getElementById('passphrase-input');
+    const confirmInput = document.getElementById('passphrase-confirm');
+    document.getElementById('passphrase-message').textContent = message;
+    document.getElementById('passphrase-confirm-field').hidden = !confirmNew;
+    input.value = '';
+    confirmInput.value = '';
+    const pending = waitForModalChoice('passphrase-modal');
+    input.focus();
+    if (await pending !== 'ok' || !input.value) return null;
+    if (confirmNew && input.value !== confirmInput.value) {
+        return promptPassphrase('The passphrases did not match. Try again.', true);
+    }
+    return input.value;
+}
+
+// Open the encryption modal: encrypt, change passphrase, or decrypt to plain JSON
+async function openEncryptionModal() {
+    if (!getStorage().isConnected()) {
+        alert('Please open or create a file first');
+        return;
+    }
+    if (storageMode === 'server') {
+        alert('Encryption is not available in server mode: the server needs to read the data to serve the REST API.');
+        return;
+    }
+    if (!window.crypto || !crypto.subtle) {
+        alert('Encryption needs WebCrypto, which this browser only offers on secure (https or local) pages.');
+        return;
+    }
+    document.getElementById('encryption-status').textContent = encryptionKey
+        ? `${getStorage().getName()} is encrypted with a passphrase (AES-GCM, PBKDF2-derived key).`
+        : `${getStorage().getName()} is stored as plain, unencrypted JSON.`;
+    document.getElementById('btn-encryption-enable').hidden = !!encryptionKey;
+    document.getElementById('btn-encryption-change').hidden = !encryptionKey;
+    document.getElementById('btn-encryption-decrypt').hidden = !encryptionKey;
+
+    const choice = await waitForModalChoice('encryption-modal');
+    if (choice === 'enable' || choice === 'change') {
+        const passphrase = await promptPassphrase(choice === 'enable'
+            ? 'Choose a passphrase for this file.'
+            : 'Choose a new passphrase for this file.', true);
+        if (!passphrase) return;
+        encryptionSalt = crypto.getRandomValues(new Uint8Array(16));
+        encryptionKey = await deriveEncryptionKey(passphrase, encryptionSalt, PBKDF2_ITERATIONS);
+    } else if (choice === 'decrypt') {
+        if (!confirm('Save this file as plain, unencrypted JSON? Anyone with access to the file will be able to read it.')) return;
+        clearEncryption();
+    } else {
+        return;
+    }
+    await saveToFile();
+    updateFileStatus();
+}
+
+// Save queue: mutations call scheduleSave(), which marks the data as unsaved and
+// coalesces rapid changes (slider drags, repeated +/-) into a single write.
+// saveToFile() writes immediately; writes run one after another.
+let saveState = 'saved'; // 'saved' | 'saving' | 'unsaved' | 'failed'
+let saveError = null;
+let changeRevision = 0; // Incremented on every scheduled change
+let saveTimer = null;
+let saveChain = Promise.resolve();
+let saveRetryTimer = null;
+let saveRetryDelay = SAVE_RETRY_MS;
+
+// Queue a save after a short delay
+function scheduleSave() {
+    changeRevision++;
+    setSaveState('unsaved');
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveToFile, SAVE_DEBOUNCE_MS);
+}
+
+// Save data to the active storage now (after any write already in progress)
+function saveToFile() {
+    clearTimeout(saveTimer);
+    saveChain = saveChain.then(writeData);
+    return saveChain;
+}
+
+// Write data to the active storage (file or browser workspace)
+async function writeData() {
+    if (!getStorage().isConnected()) return;
+    if (isNewerSchema(data)) {
+        setSaveState('failed', new Error(`Not saved: this data uses schema version ${data.schemaVersion}, written by a newer version of OKR Tracker`));
+        updateFileStatus();
+        return;
+    }
+    const revision = changeRevision;
+    setSaveState('saving');
     try {
         // Ensure data structure is correct before saving
         if (!data.objectives) {
@@ -88,34 +428,435 @@ async function saveToFile() {
         if (!data.history) {
             data.history = [];
         }
-        const writable = await fileHandle.createWritable();
-        await writable.write(JSON.stringify(data, null, 2));
-        await writable.close();
+        let written = false;
+        for (;;) {
+            // Don't overwrite edits someone else made to the file since we loaded it. Dialogs and
+            // passphrase prompts are settled before taking the lock, so other tabs can still save meanwhile.
+            if (!(await confirmNoExternalChanges())) break;
+            // Only one tab writes at a time
+            written = await withWriteLock(async () => {
+                // Another write may have landed while the user was deciding; go round again if so
+                if (await hasExternalChanges()) return false;
+                await rememberStoredState(await getStorage().write(await serializeData()));
+                return true;
+            });
+            if (written) break;
+        }
+        if (!written) {
+            // Either reloaded from the file (nothing to save) or the dialog was dismissed
+            setSaveState(sameValue(baseData, data) ? 'saved' : 'unsaved');
+            updateFileStatus();
+            return;
+        }
+        announceWrite();
+        await maybeWriteBackup();
         // Save to localStorage after saving to file
         saveToLocalStorage();
+        clearTimeout(saveRetryTimer);
+        saveRetryDelay = SAVE_RETRY_MS;
+        // Changes made while writing keep the data unsaved until the next write
+        setSaveState(changeRevision === revision ? 'saved' : 'unsaved');
         updateFileStatus();
     } catch (e) {
         console.error('Failed to save:', e);
+        // Keep a local copy so the change isn't lost if the tab is closed
+        saveToLocalStorage();
+        // Encrypted data is never cached, so this tab holds the only copy of the changes
+        if (encryptionKey && saveState !== 'failed') {
+            alert(`Could not save ${getStorage().getName()}: ${e.message}\n\nThe file is encrypted, so no copy of your changes is kept in the browser. Keep this tab open and use Retry or Save As… until the changes are saved.`);
+        }
+        setSaveState('failed', e);
+        scheduleSaveRetry();
         updateFileStatus();
     }
 }
 
-// Open existing file
-async function openFile() {
+// Retry a failed save with increasing delays
+function scheduleSaveRetry() {
+    clearTimeout(saveRetryTimer);
+    saveRetryTimer = setTimeout(async () => {
+        // A revoked file permission can only be granted again from a click on Retry
+        if (storageMode === 'file' && fileHandle &&
+            await fileHandle.queryPermission({ mode: 'readwrite' }) !== 'granted') {
+            return;
+        }
+        saveToFile();
+    }, saveRetryDelay);
+    saveRetryDelay = Math.min(saveRetryDelay * 2, SAVE_RETRY_MAX_MS);
+}
+
+// Retry button: ask for file permission again (needs the click), then save
+async function retrySave() {
+    if (storageMode === 'file' && fileHandle) {
+        try {
+            await fileHandle.requestPermission({ mode: 'readwrite' });
+        } catch (e) {
+            console.warn('Could not request file permission:', e);
+        }
+    }
+    await saveToFile();
+}
+
+// Save As: write the data to a newly chosen file (or download it in browser storage mode)
+async function saveAs() {
+    if (storageMode !== 'file') {
+        await downloadJSON();
+        return;
+    }
     try {
-        [fileHandle] = await window.showOpenFilePicker({
-            types: [{
-                description: 'JSON Files',
-                accept: { 'application/json': ['.json'] }
-            }]
+        fileHandle = await window.showSaveFilePicker({
+            suggestedName: fileHandle ? fileHandle.name : 'okr-data.json',
+            types: JSON_FILE_TYPES
         });
-        await loadFromFile();
-        updateDashboardCharts();
-        renderObjectives();
+        // New file: nothing to compare against for external changes
+        lastKnownModified = null;
+        baseData = null;
+        await saveToFile();
         updateFileStatus();
-        setupChartClickHandlers();
-        // Store file handle for next session
         await storeFileHandle();
+    } catch (e) {
+        if (e.name !== 'AbortError') {
+            console.error('Failed to save as:', e);
+        }
+    }
+}
+
+// Labels for the save state shown in the header
+const SAVE_STATE_LABELS = {
+    'saved': 'Saved',
+    'saving': 'Saving…',
+    'unsaved': 'Unsaved changes',
+    'failed': 'Save failed'
+};
+
+function setSaveState(state, error = null) {
+    saveState = state;
+    saveError = error;
+    renderSaveStatus();
+}
+
+// Update the save state indicator and the Retry / Save As buttons
+function renderSaveStatus() {
+    const status = document.getElementById('save-status');
+    status.hidden = !getStorage().isConnected();
+    status.textContent = SAVE_STATE_LABELS[saveState];
+    status.className = `save-status save-status-${saveState}`;
+    status.title = saveError ? saveError.message : '';
+    document.getElementById('save-error-actions').hidden = saveState !== 'failed';
+}
+
+// Record the stored document's lastModified and a copy of its content,
+// used to detect and merge changes made outside this window
+async function rememberStoredState(modified) {
+    lastKnownModified = modified !== undefined ? modified : await getStorage().getLastModified();
+    baseData = JSON.parse(JSON.stringify(data));
+}
+
+// Forget the stored state (when switching to a different file or workspace)
+function resetStoredState() {
+    lastKnownModified = null;
+    baseData = null;
+    // Backups are counted per file
+    savesSinceBackup = 0;
+    lastBackupTime = null;
+    clearUndoHistory();
+}
+
+// Whether the stored document changed since we last loaded or saved it
+async function hasExternalChanges() {
+    if (lastKnownModified === null) return false;
+    const modified = await getStorage().getLastModified();
+    return modified !== null && modified !== lastKnownModified;
+}
+
+// Shared prompt so concurrent saves don't open the dialog twice
+let externalChangePrompt = null;
+
+// Check whether the stored document changed since we last loaded or saved it.
+// Resolves true when it's safe to write `data` (possibly after merging).
+async function confirmNoExternalChanges() {
+    if (!(await hasExternalChanges())) return true;
+    const modified = await getStorage().getLastModified();
+    // Written by another tab of this app: take its changes without asking
+    if (String(modified) === localStorage.getItem(TAB_WRITE_KEY)) {
+        await syncFromOtherTab();
+        return true;
+    }
+    if (!externalChangePrompt) {
+        externalChangePrompt = resolveExternalChanges().then(resolved => {
+            // Merged or chosen to overwrite: this version is handled, only later writes count as new changes
+            if (resolved) lastKnownModified = modified;
+            return resolved;
+        }).finally(() => {
+            externalChangePrompt = null;
+        });
+    }
+    return externalChangePrompt;
+}
+
+// Ask the user how to handle external changes: merge, overwrite, or reload
+async function resolveExternalChanges() {
+    let remote;
+    try {
+        remote = migrateData(await parseStoredText(await getStorage().read(), false)).data;
+    } catch (e) {
+        if (e.name === 'AbortError') return false;
+        console.error('Failed to read changed file:', e);
+        return confirm(`${getStorage().getName()} was changed elsewhere and could not be read. Overwrite it with your version?`);
+    }
+
+    document.getElementById('external-change-message').textContent =
+        `${getStorage().getName()} was changed outside this window since you last opened or saved it.`;
+    const choice = await waitForModalChoice('external-change-modal');
+
+    if (choice === 'merge') {
+        const { merged, conflicts } = mergeData(baseData || createEmptyData(), data, remote);
+        data = merged;
+        // Progress merged from both sides may leave roll-ups stale
+        applyRollups(data);
+        clearUndoHistory();
+        const report = [];
+        if (conflicts.fields.length > 0) {
+            report.push(`These fields were changed both here and in the file; your value was kept and the file's value discarded:\n- ${conflicts.fields.join('\n- ')}`);
+        }
+        if (conflicts.items.length > 0) {
+            report.push(`These items were deleted on one side but edited on the other; the edited version was kept:\n- ${conflicts.items.join('\n- ')}`);
+        }
+        if (report.length > 0) {
+            alert(`Merged with the changes in the file.\n\n${report.join('\n\n')}`);
+        }
+        renderObjectives();
+        updateDashboardCharts();
+        return true;
+    }
+    if (choice === 'overwrite') {
+        return true;
+    }
+    if (choice === 'reload') {
+        data = remote;
+        clearUndoHistory();
+        await rememberStoredState();
+        saveToLocalStorage();
+        renderObjectives();
+        updateDashboardCharts();
+        return false;
+    }
+    // Dialog dismissed: keep local changes in memory, ask again on next save
+    return false;
+}
+
+// Compare two values by their JSON form
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Short description of a field value for the merge conflict report
+function describeMergeValue(value) {
+    if (value === undefined || value === null || value === '') return 'empty';
+    if (Array.isArray(value)) return `${value.length} ${value.length === 1 ? 'entry' : 'entries'}`;
+    if (typeof value === 'object') return 'set';
+    const text = String(value);
+    return typeof value === 'string' ? `"${text.length > 40 ? text.slice(0, 40) + '…' : text}"` : text;
+}
+
+// Three-way merge of a single value: take whichever side changed it.
+// When both sides changed it differently, keep the local value and record a conflict.
+function mergeValue(base, local, remote, label, conflicts) {
+    if (sameValue(local, remote) || sameValue(remote, base)) return local;
+    if (sameValue(local, base)) return remote;
+    conflicts.fields.push(`${label} (yours: ${describeMergeValue(local)}, file: ${describeMergeValue(remote)})`);
+    return local;
+}
+
+// Three-way merge of an object's fields, skipping keys merged separately
+function mergeFields(base, local, remote, skipKeys, label, conflicts) {
+    base = base || {};
+    const merged = {};
+    const keys = new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(remote)]);
+    keys.forEach(key => {
+        if (skipKeys.includes(key)) return;
+        const value = mergeValue(base[key], local[key], remote[key], `${label}, field "${key}"`, conflicts);
+        if (value !== undefined) {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+// Three-way merge of lists of items with ids (objectives, key results).
+// Items added on either side are kept; a deletion wins unless the other side edited the item.
+function mergeById(baseList, localList, remoteList, mergeItem, describe, conflicts) {
+    const baseById = new Map((baseList || []).map(item => [item.id, item]));
+    const localById = new Map(localList.map(item => [item.id, item]));
+    const remoteById = new Map(remoteList.map(item => [item.id, item]));
+    // Keep local order, then append items that only exist in the file
+    const ids = [...localById.keys(), ...[...remoteById.keys()].filter(id => !localById.has(id))];
+    const merged = [];
+    ids.forEach(id => {
+        const base = baseById.get(id);
+        const local = localById.get(id);
+        const remote = remoteById.get(id);
+        if (local && remote) {
+            merged.push(mergeItem(base, local, remote));
+        } else if (local) {
+            if (!base) {
+                merged.push(local); // Added here
+            } else if (!sameValue(base, local)) {
+                conflicts.items.push(`${describe(local)} was deleted in the file but edited here`);
+                merged.push(local);
+            }
+        } else if (!base) {
+            merged.push(remote); // Added in the file
+        } else if (!sameValue(base, remote)) {
+            conflicts.items.push(`${describe(remote)} was deleted here but edited in the file`);
+            merged.push(remote);
+        }
+    });
+    return merged;
+}
+
+// Merge history entries from both sides by id, newest first
+function mergeHistory(localHistory, remoteHistory) {
+    const byId = new Map();
+    [...localHistory, ...remoteHistory].forEach(entry => {
+        const existing = byId.get(entry.id);
+        // Snapshots are updated in place, so keep the most recent version of an entry
+        if (!existing || new Date(entry.timestamp) > new Date(existing.timestamp)) {
+            byId.set(entry.id, entry);
+        }
+    });
+    return [...byId.values()].sort(newestFirst);
+}
+
+// Sort comparator for history entries
+function newestFirst(a, b) {
+    return new Date(b.timestamp) - new Date(a.timestamp);
+}
+
+// Three-way merge of the whole data document: objectives and key results by id,
+// history entries by id, and any other top-level fields by value.
+// Conflicts list the fields where the local value won and the items kept despite a deletion.
+function mergeData(base, local, remote) {
+    const conflicts = { fields: [], items: [] };
+    const describeObjective = obj => `Objective "${obj.title}"`;
+    const describeTemplate = template => `Template "${template.name}"`;
+    const merged = mergeFields(base, local, remote, ['objectives', 'history', 'archive', 'templates'], 'Workspace settings', conflicts);
+    merged.templates = mergeById(base.templates, local.templates, remote.templates,
+        (baseTemplate, localTemplate, remoteTemplate) => mergeFields(baseTemplate, localTemplate, remoteTemplate, [], describeTemplate(localTemplate), conflicts),
+        describeTemplate, conflicts);
+    merged.objectives = mergeById(base.objectives, local.objectives, remote.objectives, (baseObj, localObj, remoteObj) => {
+        const obj = mergeFields(baseObj, localObj, remoteObj, ['keyResults'], describeObjective(localObj), conflicts);
+        const describeKR = kr => `Key result "${kr.title}" of objective "${localObj.title}"`;
+        obj.keyResults = mergeById(baseObj && baseObj.keyResults, localObj.keyResults, remoteObj.keyResults,
+            (baseKR, localKR, remoteKR) => mergeFields(baseKR, localKR, remoteKR, [], describeKR(localKR), conflicts),
+            describeKR, conflicts);
+        return obj;
+    }, describeObjective, conflicts);
+    merged.history = mergeHistory(local.history, remote.history);
+    // An entry one side already archived may still be live on the other; keep it live only
+    const liveIds = new Set(merged.history.map(entry => entry.id));
+    const notLive = entry => !liveIds.has(entry.id);
+    merged.archive = {
+        history: mergeHistory(local.archive.history, remote.archive.history).filter(notLive),
+        snapshots: mergeHistory(local.archive.snapshots, remote.archive.snapshots).filter(notLive),
+        // Archived objectives are never edited, so a union is enough; one still live on either side stays live
+        objectives: [...new Map([...local.archive.objectives, ...remote.archive.objectives].map(obj => [obj.id, obj])).values()]
+            .filter(obj => !merged.objectives.some(live => live.id === obj.id))
+    };
+    return { merged, conflicts };
+}
+
+// Cross-tab synchronisation: tabs on the same origin announce their writes over a
+// BroadcastChannel, and a Web Lock makes sure only one of them writes at a time
+const tabId = generateId();
+const syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+
+// Run a storage write while holding the cross-tab write lock
+function withWriteLock(callback) {
+    if (navigator.locks) {
+        return navigator.locks.request(WRITE_LOCK_NAME, callback);
+    }
+    return callback();
+}
+
+// Record and broadcast that this tab just wrote the data
+function announceWrite() {
+    localStorage.setItem(TAB_WRITE_KEY, String(lastKnownModified));
+    if (!syncChannel) return;
+    const message = { type: 'data-saved', tabId, storageMode, storageName: getStorage().getName() };
+    try {
+        syncChannel.postMessage({ ...message, fileHandle });
+    } catch (e) {
+        // File handles can't be cloned in every browser; fall back to the name
+        syncChannel.postMessage(message);
+    }
+}
+
+// Check whether a sync message refers to the file or workspace open in this tab
+async function isSameStorage(message) {
+    if (message.storageMode !== storageMode || !getStorage().isConnected()) return false;
+    if (storageMode === 'browser') return true;
+    if (storageMode === 'file' && message.fileHandle) {
+        try {
+            return await fileHandle.isSameEntry(message.fileHandle);
+        } catch (e) {
+            return false;
+        }
+    }
+    return message.storageName === getStorage().getName();
+}
+
+// Pick up a write made by another tab, keeping any unsaved changes made here
+async function syncFromOtherTab() {
+    const modified = await getStorage().getLastModified();
+    const remote = migrateData(await parseStoredText(await getStorage().read(), false)).data;
+    const hasLocalChanges = baseData && !sameValue(baseData, data);
+    data = hasLocalChanges ? mergeData(baseData, data, remote).merged : remote;
+    if (hasLocalChanges) applyRollups(data);
+    clearUndoHistory();
+    baseData = JSON.parse(JSON.stringify(remote));
+    lastKnownModified = modified;
+    saveToLocalStorage();
+}
+
+// Reload and re-render when another tab saved the same data
+async function handleSyncMessage(message) {
+    if (message.type !== 'data-saved' || message.tabId === tabId) return;
+    if (!(await isSameStorage(message))) return;
+    await refreshFromStorage();
+}
+
+// Reload the stored document if it changed since we last loaded or saved it, and re-render
+async function refreshFromStorage() {
+    let changed = false;
+    try {
+        await withWriteLock(async () => {
+            if (await getStorage().getLastModified() !== lastKnownModified) {
+                await syncFromOtherTab();
+                changed = true;
+            }
+        });
+    } catch (e) {
+        console.warn('Could not sync changes:', e);
+        return;
+    }
+    if (!changed) return;
+    updateDashboardCharts();
+    renderObjectives();
+    updateFileStatus();
+}
+
+if (syncChannel) {
+    syncChannel.addEventListener('message', (e) => handleSyncMessage(e.data));
+}
+
+// Open existing file
+async function openFile() {
+    try {
+        const [handle] = await window.showOpenFilePicker({
+            types: JSON_FILE_TYPES
+        });
+        await openFileHandle(handle);
     } catch (e) {
         if (e.name !== 'AbortError') {
             console.error('Failed to open file:', e);
@@ -123,17 +864,29 @@ async function openFile() {
     }
 }
 
+// Load a file handle (from the picker, or from the OS through file handling) and show its data
+async function openFileHandle(handle) {
+    fileHandle = handle;
+    resetStoredState();
+    await loadFromFile();
+    updateDashboardCharts();
+    renderObjectives();
+    updateFileStatus();
+    setupChartClickHandlers();
+    // Store file handle for next session
+    await storeFileHandle();
+}
+
 // Create new file
 async function createFile() {
     try {
         fileHandle = await window.showSaveFilePicker({
             suggestedName: 'okr-data.json',
-            types: [{
-                description: 'JSON Files',
-                accept: { 'application/json': ['.json'] }
-            }]
+            types: JSON_FILE_TYPES
         });
-        data = { objectives: [], history: [] };
+        data = createEmptyData();
+        resetStoredState();
+        clearEncryption();
         await saveToFile();
         updateDashboardCharts();
         renderObjectives();
@@ -148,14 +901,73 @@ async function createFile() {
     }
 }
 
+// Import a JSON file into the browser workspace (fallback for browsers
+// without the File System Access API)
+function importFromJSON() {
+    const input = document.getElementById('import-file-input');
+    input.value = '';
+    input.click();
+}
+
+// Handle the file chosen through the import file input
+async function handleImportFile(file) {
+    if (!file) return;
+    try {
+        const { data: imported, report } = migrateData(await parseStoredText(await file.text()));
+        if (browserWorkspaceName && data.objectives.length > 0 &&
+            !confirm(`Replace the current workspace with ${file.name}?`)) {
+            return;
+        }
+        browserWorkspaceName = file.name;
+        data = imported;
+        resetStoredState();
+        if (report.length > 0) {
+            showMigrationReport(report, data);
+        }
+        await saveToFile();
+        renderObjectives();
+        updateFileStatus();
+        setupChartClickHandlers();
+    } catch (e) {
+        if (e.name === 'AbortError') return;
+        console.error('Failed to import file:', e);
+        alert(`Could not import ${file.name}: the file is not valid OKR JSON.`);
+    }
+}
+
+// Start an empty workspace in browser storage
+async function createBrowserWorkspace() {
+    if (browserWorkspaceName && data.objectives.length > 0 &&
+        !confirm('Start a new workspace? Download the current one first if you want to keep it.')) {
+        return;
+    }
+    browserWorkspaceName = 'okr-data.json';
+    data = createEmptyData();
+    resetStoredState();
+    clearEncryption();
+    await saveToFile();
+    updateDashboardCharts();
+    renderObjectives();
+    updateFileStatus();
+    setupChartClickHandlers();
+}
+
+// Download the current data as a JSON file
+async function downloadJSON() {
+    if (!getStorage().isConnected()) {
+        alert('Please open or create a file first');
+        return;
+    }
+    const name = storageMode === 'browser' ? browserWorkspaceName : getStorage().getName();
+    // Encrypted files are downloaded encrypted
+    downloadBlob(await serializeData(), name || 'okr-data.json', 'application/json');
+}
+
 // Store file handle in IndexedDB for persistence
 async function storeFileHandle() {
     if (!fileHandle) return;
     try {
-        const db = await openIndexedDB();
-        const tx = db.transaction('fileHandles', 'readwrite');
-        const store = tx.objectStore('fileHandles');
-        await store.put(fileHandle, FILE_HANDLE_KEY);
+        await idbPut('fileHandles', fileHandle, FILE_HANDLE_KEY);
     } catch (e) {
         console.error('Failed to store file handle:', e);
     }
@@ -164,40 +976,324 @@ async function storeFileHandle() {
 // Retrieve file handle from IndexedDB
 async function retrieveFileHandle() {
     try {
-        const db = await openIndexedDB();
-        const tx = db.transaction('fileHandles', 'readonly');
-        const store = tx.objectStore('fileHandles');
-        return new Promise((resolve, reject) => {
-            const request = store.get(FILE_HANDLE_KEY);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
+        return await idbGet('fileHandles', FILE_HANDLE_KEY);
     } catch (e) {
         console.error('Failed to retrieve file handle:', e);
         return null;
     }
 }
 
-// Open IndexedDB
+// Open IndexedDB once and keep the connection. It is closed when another tab
+// needs to upgrade the database, and opened again on the next use.
+let idbConnection = null;
+
 function openIndexedDB() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open('OKRTracker', 1);
+    if (idbConnection) return idbConnection;
+    const connection = new Promise((resolve, reject) => {
+        const request = indexedDB.open('OKRTracker', 2);
         request.onupgradeneeded = (e) => {
             const db = e.target.result;
             if (!db.objectStoreNames.contains('fileHandles')) {
                 db.createObjectStore('fileHandles');
             }
+            // Working copy for browser storage mode
+            if (!db.objectStoreNames.contains('workspace')) {
+                db.createObjectStore('workspace');
+            }
+        };
+        let blocked = false;
+        request.onsuccess = () => {
+            const db = request.result;
+            // Opened after all once the other tabs let go; this request was already given up
+            if (blocked) {
+                db.close();
+                return;
+            }
+            db.onversionchange = () => {
+                db.close();
+                if (idbConnection === connection) idbConnection = null;
+            };
+            resolve(db);
         };
-        request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
+        // A tab running an older version still has the database open
+        request.onblocked = () => {
+            blocked = true;
+            reject(new Error('The browser database is in use by another tab of OKR Tracker; close or reload the other tabs'));
+        };
     });
+    connection.catch(() => {
+        if (idbConnection === connection) idbConnection = null;
+    });
+    idbConnection = connection;
+    return connection;
 }
 
-// Try to restore last opened file on page load
-async function tryRestoreLastFile() {
-    try {
-        // First, try to load from localStorage cache for immediate display
-        const cachedData = loadFromLocalStorage();
+// Read a value from an IndexedDB object store
+async function idbGet(storeName, key) {
+    const db = await openIndexedDB();
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+        const request = store.get(key);
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Write a value to an IndexedDB object store
+async function idbPut(storeName, value, key) {
+    const db = await openIndexedDB();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    return new Promise((resolve, reject) => {
+        store.put(value, key);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Rotating backups: timestamped copies of the data file written to a folder
+// the user picks once. Settings are per browser, like the file handle.
+let backupDirHandle = null;
+let backupSettings = loadBackupSettings();
+let savesSinceBackup = 0;
+let lastBackupTime = null; // When the newest backup of the current file was written, looked up on the first save
+let selectedBackup = null; // { name, data } of the backup shown in the restore preview
+
+// Load backup settings from localStorage
+function loadBackupSettings() {
+    const defaults = { enabled: false, everySaves: 10, intervalMinutes: 60, keep: 20 };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(BACKUP_SETTINGS_KEY) || '{}') };
+    } catch (e) {
+        return defaults;
+    }
+}
+
+// Save backup settings to localStorage
+function saveBackupSettings() {
+    localStorage.setItem(BACKUP_SETTINGS_KEY, JSON.stringify(backupSettings));
+}
+
+// Get the backup folder handle, optionally prompting for permission (needs a user gesture)
+async function getBackupDirectory(requestAccess = false) {
+    if (!backupDirHandle) {
+        backupDirHandle = (await idbGet('fileHandles', BACKUP_DIR_KEY)) || null;
+    }
+    if (!backupDirHandle) return null;
+    const options = { mode: 'readwrite' };
+    if (await backupDirHandle.queryPermission(options) === 'granted') {
+        return backupDirHandle;
+    }
+    if (requestAccess && await backupDirHandle.requestPermission(options) === 'granted') {
+        return backupDirHandle;
+    }
+    return null;
+}
+
+// Let the user pick the backup folder and remember it in IndexedDB
+async function chooseBackupDirectory() {
+    try {
+        backupDirHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        await idbPut('fileHandles', backupDirHandle, BACKUP_DIR_KEY);
+        await renderBackupList(true);
+    } catch (e) {
+        if (e.name !== 'AbortError') {
+            console.error('Failed to choose backup folder:', e);
+        }
+    }
+}
+
+// Backups of okr-data.json are named okr-data-backup-YYYYMMDD-HHMMSSmmm.json
+function getBackupPrefix() {
+    return (getStorage().getName() || 'okr-data').replace(/\.json$/i, '') + '-backup-';
+}
+
+// Format a date as YYYYMMDD-HHMMSSmmm in local time (sorts chronologically, also after
+// older backups named without milliseconds)
+function formatBackupTimestamp(date) {
+    const pad = (n, length = 2) => String(n).padStart(length, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}${pad(date.getMilliseconds(), 3)}`;
+}
+
+// List backups of the current file in the backup folder, newest first
+async function listBackups(dir) {
+    const prefix = getBackupPrefix();
+    const backups = [];
+    for await (const [name, handle] of dir.entries()) {
+        if (handle.kind === 'file' && name.startsWith(prefix) && name.endsWith('.json')) {
+            backups.push({ name, handle });
+        }
+    }
+    return backups.sort((a, b) => b.name.localeCompare(a.name));
+}
+
+// Delete backups beyond the configured number to keep
+async function pruneBackups(dir) {
+    const backups = await listBackups(dir);
+    for (const backup of backups.slice(backupSettings.keep)) {
+        await dir.removeEntry(backup.name);
+    }
+}
+
+// Write a timestamped copy of the current data to the backup folder
+async function writeBackup(requestAccess = false) {
+    const dir = await getBackupDirectory(requestAccess);
+    if (!dir) return false;
+    const name = `${getBackupPrefix()}${formatBackupTimestamp(new Date())}.json`;
+    const handle = await dir.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(await serializeData());
+    await writable.close();
+    savesSinceBackup = 0;
+    lastBackupTime = Date.now();
+    await pruneBackups(dir);
+    return true;
+}
+
+// A backup is due after N saves, or when the interval has passed since the last one
+function isBackupDue() {
+    if (!backupSettings.enabled || storageMode !== 'file' || savesSinceBackup === 0) return false;
+    const dueBySaves = backupSettings.everySaves > 0 && savesSinceBackup >= backupSettings.everySaves;
+    const dueByTime = backupSettings.intervalMinutes > 0 &&
+        Date.now() - lastBackupTime >= backupSettings.intervalMinutes * 60 * 1000;
+    return dueBySaves || dueByTime;
+}
+
+// Time of the newest backup in the folder (0 if there is none), null while the folder can't be read
+async function getNewestBackupTime() {
+    const dir = await getBackupDirectory();
+    if (!dir) return null;
+    const [newest] = await listBackups(dir);
+    return newest ? (await newest.handle.getFile()).lastModified : 0;
+}
+
+// Called after every successful save
+async function maybeWriteBackup() {
+    savesSinceBackup++;
+    if (!backupSettings.enabled || storageMode !== 'file') return;
+    try {
+        // Count the interval from the last backup, not from the start of this session
+        if (lastBackupTime === null) {
+            lastBackupTime = await getNewestBackupTime();
+        }
+        if (!isBackupDue()) return;
+        await writeBackup();
+    } catch (e) {
+        console.warn('Automatic backup failed:', e);
+    }
+}
+
+// Open the backups modal (settings and restore)
+async function openBackupModal() {
+    if (storageMode !== 'file') {
+        alert('Backups need a browser with the File System Access API (Chrome, Edge or Opera). Use "Download JSON" to keep copies instead.');
+        return;
+    }
+    if (!getStorage().isConnected()) {
+        alert('Please open or create a file first');
+        return;
+    }
+    document.getElementById('backup-enabled').checked = backupSettings.enabled;
+    document.getElementById('backup-every-saves').value = backupSettings.everySaves;
+    document.getElementById('backup-interval').value = backupSettings.intervalMinutes;
+    document.getElementById('backup-keep').value = backupSettings.keep;
+    document.getElementById('backup-modal').classList.add('active');
+    await renderBackupList(true);
+}
+
+// Render the backup folder name and the list of available backups
+async function renderBackupList(requestAccess = false) {
+    const dirName = document.getElementById('backup-dir-name');
+    const list = document.getElementById('backup-list');
+    selectedBackup = null;
+    document.getElementById('backup-preview').innerHTML = '';
+    document.getElementById('btn-restore-backup').disabled = true;
+    list.innerHTML = '';
+
+    let dir = null;
+    try {
+        dir = await getBackupDirectory(requestAccess);
+    } catch (e) {
+        console.warn('Could not access backup folder:', e);
+    }
+    dirName.textContent = backupDirHandle ? backupDirHandle.name : 'No folder selected';
+    dirName.classList.toggle('connected', !!dir);
+    if (!dir) return;
+
+    const backups = await listBackups(dir);
+    if (backups.length === 0) {
+        list.innerHTML = '<option disabled>No backups yet</option>';
+        return;
+    }
+    backups.forEach(backup => {
+        const option = document.createElement('option');
+        option.value = backup.name;
+        option.textContent = backup.name;
+        list.appendChild(option);
+    });
+}
+
+// Show a preview of a backup's objectives before restoring it
+async function previewBackup(name) {
+    const preview = document.getElementById('backup-preview');
+    const restoreBtn = document.getElementById('btn-restore-backup');
+    selectedBackup = null;
+    restoreBtn.disabled = true;
+    try {
+        const dir = await getBackupDirectory();
+        const file = await (await dir.getFileHandle(name)).getFile();
+        const backupData = migrateData(await parseStoredText(await file.text(), false)).data;
+        selectedBackup = { name, data: backupData };
+        restoreBtn.disabled = false;
+        preview.innerHTML = `
+            <div class="backup-preview-summary">
+                Saved ${new Date(file.lastModified).toLocaleString()} —
+                ${backupData.objectives.length} objective(s), ${backupData.history.length} history entries
+            </div>
+            ${backupData.objectives.map(obj => `
+                <div class="backup-preview-item">
+                    <span class="obj-badge">${escapeHtml(obj.group)}</span>
+                    <span class="obj-badge">${obj.year || ''} Q${obj.quarter || ''}</span>
+                    <span class="backup-preview-title">${escapeHtml(obj.title)}</span>
+                    <span class="backup-preview-progress">${calculateProgress(obj)}%</span>
+                </div>
+            `).join('')}
+        `;
+    } catch (e) {
+        console.error('Failed to read backup:', e);
+        preview.innerHTML = '<div class="empty-state"><p>This backup could not be read.</p></div>';
+    }
+}
+
+// Replace the current data with the selected backup
+async function restoreBackup() {
+    if (!selectedBackup) return;
+    if (!confirm(`Replace your current data with ${selectedBackup.name}? A backup of the current data is written first.`)) return;
+    let backedUp = false;
+    try {
+        backedUp = await writeBackup(true);
+    } catch (e) {
+        console.warn('Backup before restore failed:', e);
+    }
+    if (!backedUp && !confirm('Could not back up the current data first. Restore anyway?')) return;
+    recordUndo('Restore backup');
+    data = JSON.parse(JSON.stringify(selectedBackup.data));
+    addHistoryEntry('restored', 'backup', selectedBackup.name, selectedBackup.name, { restored: true }, null);
+    applyRollups(data);
+    await saveToFile();
+    updateDashboardCharts();
+    renderObjectives();
+    closeModal('backup-modal');
+}
+
+// Try to restore last opened file on page load
+async function tryRestoreLastFile() {
+    try {
+        // First, try to load from localStorage cache for immediate display
+        const cachedData = loadFromLocalStorage();
         if (cachedData) {
             data = cachedData;
             updateDashboardCharts();
@@ -205,12 +1301,36 @@ async function tryRestoreLastFile() {
             updateFileStatus();
         }
         
+        // In server storage mode the data lives on the server
+        if (storageMode === 'server') {
+            await loadFromFile();
+            updateDashboardCharts();
+            renderObjectives();
+            updateFileStatus();
+            return true;
+        }
+        
+        // In browser storage mode the working copy lives in IndexedDB
+        if (storageMode === 'browser') {
+            const workspace = await idbGet('workspace', WORKSPACE_KEY);
+            if (workspace) {
+                browserWorkspaceName = workspace.name || 'okr-data.json';
+                await loadFromFile();
+                updateDashboardCharts();
+                renderObjectives();
+                updateFileStatus();
+                return true;
+            }
+            return false;
+        }
+        
         // Then, try to restore the file handle and load from file (to get latest version)
         const storedHandle = await retrieveFileHandle();
         if (storedHandle) {
             // Request permission to access the file
             const permission = await storedHandle.requestPermission({ mode: 'readwrite' });
-            if (permission === 'granted') {
+            // Skip if a file was opened in the meantime (e.g. launched from the OS)
+            if (permission === 'granted' && !fileHandle) {
                 fileHandle = storedHandle;
                 await loadFromFile(); // This will overwrite cached data with file data and update cache
                 updateDashboardCharts();
@@ -233,18 +1353,19 @@ async function tryRestoreLastFile() {
 // Update file status indicator
 function updateFileStatus() {
     const fileName = document.getElementById('file-name');
-    if (fileHandle) {
-        fileName.textContent = fileHandle.name;
+    const storage = getStorage();
+    if (storage.isConnected()) {
+        fileName.textContent = storage.getName() + (encryptionKey ? ' 🔒' : '');
         fileName.classList.add('connected');
     } else {
         fileName.textContent = 'No file selected';
         fileName.classList.remove('connected');
     }
+    renderSaveStatus();
 }
 
 // Update dashboard charts
 function updateDashboardCharts() {
-    const groups = ['Personal', 'Team', 'Company'];
     const circumference = 2 * Math.PI * 52; // 326.73
     
     // Ensure data.objectives exists and is an array
@@ -253,34 +1374,32 @@ function updateDashboardCharts() {
         data.objectives = [];
     }
     
-    groups.forEach(group => {
-        const groupLower = group.toLowerCase();
-        const objectives = data.objectives.filter(obj => (obj.group || 'Personal') === group);
+    renderChartRings();
+    renderGroupOptions();
+    renderPeopleOptions();
+    
+    document.querySelectorAll('#dashboard-charts .chart-container').forEach(chart => {
+        const group = chart.dataset.group;
+        const objectives = data.objectives.filter(obj => obj.group === group);
         const count = objectives.length;
         
-        // Calculate average progress for this group
-        let totalProgress = 0;
-        if (count > 0) {
-            objectives.forEach(obj => {
-                totalProgress += calculateProgress(obj);
-            });
-        }
-        const avgProgress = count > 0 ? Math.round(totalProgress / count) : 0;
+        // Weighted average progress for this group
+        const avgProgress = getWeightedProgress(objectives);
         
         // Update count - force to 0 if no objectives
-        const countElement = document.getElementById(`${groupLower}-count`);
+        const countElement = chart.querySelector('.chart-count');
         if (countElement) {
             countElement.textContent = count;
         }
         
         // Update percent - force to 0% if no objectives
-        const percentElement = document.getElementById(`${groupLower}-percent`);
+        const percentElement = chart.querySelector('.chart-percent');
         if (percentElement) {
             percentElement.textContent = `${avgProgress}%`;
         }
         
         // Update ring - reset to 0 if no objectives
-        const ring = document.querySelector(`.ring-${groupLower}`);
+        const ring = chart.querySelector('.ring-progress');
         if (ring) {
             const offset = circumference - (avgProgress / 100) * circumference;
             ring.style.strokeDashoffset = offset;
@@ -288,19 +1407,349 @@ function updateDashboardCharts() {
     });
 }
 
+// Build one progress ring per group. The markup is only rebuilt when the groups
+// change, so the rings keep animating between values.
+function renderChartRings() {
+    const container = document.getElementById('dashboard-charts');
+    const groupsKey = JSON.stringify(data.groups);
+    if (container.dataset.groups === groupsKey) return;
+    container.dataset.groups = groupsKey;
+    container.innerHTML = data.groups.map(group => `
+        <div class="chart-container" data-group="${escapeAttr(group.name)}" title="Show only ${escapeAttr(group.name)} objectives">
+            <svg class="progress-ring" viewBox="0 0 120 120">
+                <circle class="ring-bg" cx="60" cy="60" r="52" />
+                <circle class="ring-progress" cx="60" cy="60" r="52" style="stroke: ${getGroupColor(group.name)}" />
+            </svg>
+            <div class="chart-center">
+                <span class="chart-count">0</span>
+                <span class="chart-label">${escapeHtml(group.name)}</span>
+            </div>
+            <div class="chart-percent">0%</div>
+        </div>
+    `).join('');
+    updateFilterIndicators();
+}
+
+// Fill the group dropdowns (objective form, history and trends filters) from data.groups
+function renderGroupOptions() {
+    const options = data.groups.map(group =>
+        `<option value="${escapeAttr(group.name)}">${escapeHtml(group.name)}</option>`).join('');
+    [
+        ['objective-group', ''],
+        ['template-group', ''],
+        ['history-filter-group', '<option value="all">All Groups</option>'],
+        ['trends-filter-group', '<option value="all">All Groups</option>']
+    ].forEach(([id, firstOption]) => {
+        const select = document.getElementById(id);
+        const value = select.value;
+        select.innerHTML = firstOption + options;
+        if (Array.from(select.options).some(option => option.value === value)) {
+            select.value = value;
+        }
+    });
+}
+
 // Update filter indicators on chart containers
 function updateFilterIndicators() {
-    const groups = ['Personal', 'Team', 'Company'];
-    groups.forEach(group => {
-        const chartContainer = document.getElementById(`chart-${group.toLowerCase()}`);
-        if (chartContainer) {
-            if (selectedGroupFilter === group) {
-                chartContainer.classList.add('chart-filter-active');
-            } else {
-                chartContainer.classList.remove('chart-filter-active');
-            }
+    document.querySelectorAll('#dashboard-charts .chart-container').forEach(chart => {
+        if (selectedGroupFilter === chart.dataset.group) {
+            chart.classList.add('chart-filter-active');
+        } else {
+            chart.classList.remove('chart-filter-active');
+        }
+    });
+}
+
+// Colour of a group (grey for a name that's no longer in the list, e.g. in old snapshots)
+function getGroupColor(name) {
+    const group = data.groups.find(g => g.name === name);
+    return group && GROUP_COLOR_PATTERN.test(group.color) ? group.color : '#6b7280';
+}
+
+// Inline style for a group badge: the group colour with readable text on top
+function getGroupBadgeStyle(name) {
+    const color = getGroupColor(name);
+    const r = parseInt(color.slice(1, 3), 16);
+    const g = parseInt(color.slice(3, 5), 16);
+    const b = parseInt(color.slice(5, 7), 16);
+    const textColor = (r * 299 + g * 587 + b * 114) / 1000 > 150 ? 'black' : 'white';
+    return `background: ${color}; border-color: ${color}; color: ${textColor};`;
+}
+
+// Group manager: edits a working copy of the groups, applied together on save
+let groupDrafts = []; // [{ name, color, originalName }] - originalName is null for new groups
+
+function openGroupsModal() {
+    if (!getStorage().isConnected()) {
+        alert('Please open or create a file first');
+        return;
+    }
+    groupDrafts = data.groups.map(group => ({ ...group, originalName: group.name }));
+    document.getElementById('new-group-name').value = '';
+    renderGroupDrafts();
+    document.getElementById('groups-modal').classList.add('active');
+}
+
+function renderGroupDrafts() {
+    const list = document.getElementById('group-list');
+    list.innerHTML = groupDrafts.map((group, index) => {
+        const count = group.originalName === null ? 0
+            : data.objectives.filter(obj => obj.group === group.originalName).length;
+        return `
+            <div class="group-row">
+                <input type="color" value="${escapeAttr(group.color)}" onchange="groupDrafts[${index}].color = this.value" title="Colour">
+                <input type="text" value="${escapeAttr(group.name)}" oninput="groupDrafts[${index}].name = this.value" aria-label="Group name">
+                <span class="group-count">${count} objective${count !== 1 ? 's' : ''}</span>
+                <button type="button" class="btn-icon" onclick="moveGroupDraft(${index}, -1)" ${index === 0 ? 'disabled' : ''} title="Move up">▲</button>
+                <button type="button" class="btn-icon" onclick="moveGroupDraft(${index}, 1)" ${index === groupDrafts.length - 1 ? 'disabled' : ''} title="Move down">▼</button>
+                <button type="button" class="btn-icon btn-delete" onclick="removeGroupDraft(${index})" title="Delete group">&#128465;</button>
+            </div>
+        `;
+    }).join('');
+    const nextColor = GROUP_COLOR_PALETTE[groupDrafts.length % GROUP_COLOR_PALETTE.length];
+    document.getElementById('new-group-color').value = nextColor;
+}
+
+function addGroupDraft() {
+    const input = document.getElementById('new-group-name');
+    const name = input.value.trim();
+    if (!name) return;
+    groupDrafts.push({ name, color: document.getElementById('new-group-color').value, originalName: null });
+    input.value = '';
+    renderGroupDrafts();
+    input.focus();
+}
+
+function moveGroupDraft(index, direction) {
+    const [group] = groupDrafts.splice(index, 1);
+    groupDrafts.splice(index + direction, 0, group);
+    renderGroupDrafts();
+}
+
+function removeGroupDraft(index) {
+    const group = groupDrafts[index];
+    const count = group.originalName === null ? 0
+        : data.objectives.filter(obj => obj.group === group.originalName).length;
+    if (count > 0) {
+        alert(`${group.originalName} still has ${count} objective(s). Move them to another group or delete them first.`);
+        return;
+    }
+    if (groupDrafts.length === 1) {
+        alert('At least one group is needed.');
+        return;
+    }
+    groupDrafts.splice(index, 1);
+    renderGroupDrafts();
+}
+
+// Apply the edited groups: renames carry over to objectives, history and snapshots
+function saveGroups() {
+    groupDrafts.forEach(group => {
+        group.name = group.name.trim();
+    });
+    if (groupDrafts.some(group => !group.name)) {
+        alert('Every group needs a name.');
+        return;
+    }
+    const names = groupDrafts.map(group => group.name.toLowerCase());
+    if (new Set(names).size !== names.length) {
+        alert('Group names must be unique.');
+        return;
+    }
+    
+    recordUndo('Edit groups');
+    const before = new Map(data.groups.map(group => [group.name, group]));
+    groupDrafts.forEach(group => {
+        const old = before.get(group.originalName);
+        if (!old) {
+            addHistoryEntry('created', 'group', group.name, group.name, { created: true }, group.name);
+            return;
+        }
+        before.delete(group.originalName);
+        const changes = {};
+        if (old.name !== group.name) {
+            renameGroupReferences(old.name, group.name);
+            changes.name = { from: old.name, to: group.name };
+        }
+        if (old.color !== group.color) changes.color = { from: old.color, to: group.color };
+        if (Object.keys(changes).length > 0) {
+            addHistoryEntry('updated', 'group', group.name, group.name, changes, group.name);
+        }
+    });
+    before.forEach(group => {
+        addHistoryEntry('deleted', 'group', group.name, group.name, { deleted: true }, group.name);
+        if (selectedGroupFilter === group.name) {
+            selectedGroupFilter = null;
         }
     });
+    data.groups = groupDrafts.map(group => ({ name: group.name, color: group.color }));
+    
+    scheduleSave();
+    closeModal('groups-modal');
+    updateDashboardCharts();
+    renderObjectives();
+}
+
+// Point everything that refers to a group by name at its new name
+function renameGroupReferences(from, to) {
+    data.objectives.forEach(obj => {
+        if (obj.group === from) obj.group = to;
+    });
+    [data.history, data.archive.history, data.archive.snapshots].forEach(entries => {
+        entries.forEach(entry => {
+            if (entry.group === from) entry.group = to;
+            if (entry.type === 'progress-snapshot') {
+                Object.values(entry.changes.snapshot.objectives).forEach(objData => {
+                    if (objData.group === from) objData.group = to;
+                });
+            }
+        });
+    });
+    if (selectedGroupFilter === from) {
+        selectedGroupFilter = to;
+    }
+}
+
+// Name of a person by id ('' when unassigned or no longer in the list)
+function getPersonName(personId) {
+    const person = data.people.find(p => p.id === personId);
+    return person ? person.name : '';
+}
+
+// Round avatar with the owner's initials; the colour is derived from the id so it stays stable
+function renderOwnerAvatar(personId, withName = false) {
+    const name = getPersonName(personId);
+    if (!name) return '';
+    const initials = name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+    const hue = Array.from(personId).reduce((sum, char) => sum + char.charCodeAt(0) * 7, 0) % 360;
+    return `<span class="owner-badge" title="Owner: ${escapeAttr(name)}"><span class="owner-avatar" style="background: hsl(${hue}, 55%, 45%)">${escapeHtml(initials)}</span>${withName ? `<span class="owner-name">${escapeHtml(name)}</span>` : ''}</span>`;
+}
+
+// Fill the owner pickers and the owner filter from data.people
+function renderPeopleOptions() {
+    const options = data.people
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(person => `<option value="${escapeAttr(person.id)}">${escapeHtml(person.name)}</option>`).join('');
+    [
+        ['objective-owner', '<option value="">— Unassigned —</option>', '<option value="__new">+ Add person…</option>'],
+        ['kr-owner', '<option value="">— Unassigned —</option>', '<option value="__new">+ Add person…</option>'],
+        ['owner-filter', '<option value="">All Owners</option>', '']
+    ].forEach(([id, firstOption, lastOption]) => {
+        const select = document.getElementById(id);
+        const value = select.value;
+        select.innerHTML = firstOption + options + lastOption;
+        select.value = data.people.some(person => person.id === value) ? value : '';
+    });
+    // The filter only makes sense once there are people
+    document.getElementById('owner-filter').hidden = data.people.length === 0;
+    if (!data.people.some(person => person.id === selectedOwnerFilter)) {
+        selectedOwnerFilter = '';
+    }
+}
+
+// "+ Add person…" in an owner picker: ask for a name and select the new person
+function handleOwnerPickerChange(select) {
+    if (select.value !== '__new') return;
+    const name = (prompt('Name of the new person:') || '').trim();
+    if (!name) {
+        select.value = '';
+        return;
+    }
+    let person = data.people.find(p => p.name.toLowerCase() === name.toLowerCase());
+    if (!person) {
+        recordUndo('Add person');
+        person = { id: generateId(), name };
+        data.people.push(person);
+        scheduleSave();
+    }
+    renderPeopleOptions();
+    select.value = person.id;
+}
+
+// People manager: rename or remove people, applied together on save
+let peopleDrafts = []; // [{ id, name }] - id is null for people added here
+
+function openPeopleModal() {
+    if (!getStorage().isConnected()) {
+        alert('Please open or create a file first');
+        return;
+    }
+    peopleDrafts = data.people.map(person => ({ ...person }));
+    document.getElementById('new-person-name').value = '';
+    renderPeopleDrafts();
+    document.getElementById('people-modal').classList.add('active');
+}
+
+// Number of objectives and key results owned by a person
+function countOwnedItems(personId) {
+    return data.objectives.reduce((count, obj) =>
+        count + (obj.owner === personId ? 1 : 0) + obj.keyResults.reduce((krCount, kr) =>
+            krCount + (kr.owner === personId ? 1 : 0) + kr.tasks.filter(task => task.owner === personId).length, 0), 0);
+}
+
+function renderPeopleDrafts() {
+    const list = document.getElementById('people-list');
+    if (peopleDrafts.length === 0) {
+        list.innerHTML = '<p class="modal-message">No people yet.</p>';
+        return;
+    }
+    list.innerHTML = peopleDrafts.map((person, index) => {
+        const count = person.id ? countOwnedItems(person.id) : 0;
+        return `
+            <div class="group-row">
+                ${person.id ? renderOwnerAvatar(person.id) : ''}
+                <input type="text" value="${escapeAttr(person.name)}" oninput="peopleDrafts[${index}].name = this.value" aria-label="Name">
+                <span class="group-count">Owns ${count}</span>
+                <button type="button" class="btn-icon btn-delete" onclick="removePersonDraft(${index})" title="Remove person">&#128465;</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function addPersonDraft() {
+    const input = document.getElementById('new-person-name');
+    const name = input.value.trim();
+    if (!name) return;
+    peopleDrafts.push({ id: null, name });
+    input.value = '';
+    renderPeopleDrafts();
+    input.focus();
+}
+
+function removePersonDraft(index) {
+    const person = peopleDrafts[index];
+    const count = person.id ? countOwnedItems(person.id) : 0;
+    if (count > 0 && !confirm(`${person.name} owns ${count} objective(s) or key result(s). Remove them anyway? Those items become unassigned.`)) {
+        return;
+    }
+    peopleDrafts.splice(index, 1);
+    renderPeopleDrafts();
+}
+
+// Apply the edited people list; removed people's objectives and key results become unassigned
+function savePeople() {
+    peopleDrafts.forEach(person => {
+        person.name = person.name.trim();
+    });
+    if (peopleDrafts.some(person => !person.name)) {
+        alert('Everyone needs a name.');
+        return;
+    }
+    recordUndo('Edit people');
+    const keptIds = new Set(peopleDrafts.map(person => person.id).filter(Boolean));
+    data.objectives.forEach(obj => {
+        [obj, ...obj.keyResults, ...obj.keyResults.flatMap(kr => kr.tasks)].forEach(item => {
+            if (item.owner && !keptIds.has(item.owner)) {
+                item.owner = null;
+            }
+        });
+    });
+    data.people = peopleDrafts.map(person => ({ id: person.id || generateId(), name: person.name }));
+    scheduleSave();
+    closeModal('people-modal');
+    renderPeopleOptions();
+    renderObjectives();
 }
 
 // Filter objectives by group
@@ -314,27 +1763,76 @@ function filterByGroup(group) {
     renderObjectives();
 }
 
-// Generate unique ID
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substring(2);
+// Objectives aligned to an objective (krId null) or to one of its key results
+function getAlignedChildren(objectiveId, krId = null) {
+    return data.objectives.filter(obj => obj.parent &&
+        obj.parent.objectiveId === objectiveId && obj.parent.krId === krId);
 }
 
-// Calculate objective progress based on key results (weighted)
-function calculateProgress(objective) {
-    if (!objective.keyResults || objective.keyResults.length === 0) {
-        return 0;
+// Whether `obj` is aligned (directly or further down) below the objective `ancestorId`
+function isAlignedBelow(obj, ancestorId) {
+    let parent = obj.parent;
+    for (let depth = 0; parent && depth < data.objectives.length; depth++) {
+        if (parent.objectiveId === ancestorId) return true;
+        const next = data.objectives.find(o => o.id === parent.objectiveId);
+        parent = next ? next.parent : null;
     }
-    const totalWeight = objective.keyResults.reduce((sum, kr) => sum + (kr.weight || 100), 0);
-    if (totalWeight === 0) return 0;
-    const total = objective.keyResults.reduce((sum, kr) => {
-        return sum + ((kr.current / kr.target) * 100) * ((kr.weight || 100) / totalWeight);
-    }, 0);
-    return Math.min(100, Math.round(total));
+    return false;
+}
+
+// Key result dependencies: kr.blockedBy holds { objectiveId, krId } links to upstream key results,
+// in any objective or group. Links to deleted or archived key results are ignored.
+function getBlockers(kr) {
+    return kr.blockedBy
+        .map(link => {
+            const obj = data.objectives.find(o => o.id === link.objectiveId);
+            const upstream = obj && obj.keyResults.find(k => k.id === link.krId);
+            return upstream ? { obj, kr: upstream } : null;
+        })
+        .filter(Boolean);
+}
+
+// Upstream key results that aren't complete yet
+function getOpenBlockers(kr) {
+    return getBlockers(kr).filter(blocker => !isKRComplete(blocker.kr));
+}
+
+// Whether `kr` waits (directly or further up the chain) for the key result `upstreamId`
+function dependsOn(kr, upstreamId, seen = new Set()) {
+    if (seen.has(kr.id)) return false;
+    seen.add(kr.id);
+    return getBlockers(kr).some(blocker => blocker.kr.id === upstreamId || dependsOn(blocker.kr, upstreamId, seen));
+}
+
+function describeBlockers(links) {
+    return links.map(link => {
+        const obj = data.objectives.find(o => o.id === link.objectiveId);
+        const upstream = obj && obj.keyResults.find(k => k.id === link.krId);
+        return upstream ? upstream.title : '(removed)';
+    }).join(', ');
+}
+
+// Drop links to key results that are being deleted
+function removeBlockerLinks(isRemoved) {
+    data.objectives.forEach(obj => obj.keyResults.forEach(kr => {
+        kr.blockedBy = kr.blockedBy.filter(link => !isRemoved(link));
+    }));
+}
+
+// "Parent objective → parent key result" for an objective's alignment link
+function describeParentLink(parent) {
+    if (!parent) return '';
+    const objective = data.objectives.find(obj => obj.id === parent.objectiveId);
+    if (!objective) return '';
+    const kr = parent.krId ? objective.keyResults.find(k => k.id === parent.krId) : null;
+    return kr ? `${objective.title} → ${kr.title}` : objective.title;
 }
 
 // Record progress snapshot for trend tracking
 function recordProgressSnapshot() {
     if (!data.objectives || data.objectives.length === 0) return;
+    // Roll-up values have to be current before they're recorded
+    applyRollups(data);
 
     const timestamp = new Date().toISOString();
     const snapshot = {
@@ -346,7 +1844,7 @@ function recordProgressSnapshot() {
         const progress = calculateProgress(obj);
         snapshot.objectives[obj.id] = {
             title: obj.title,
-            group: obj.group || 'Personal',
+            group: obj.group,
             progress: progress,
             keyResults: {}
         };
@@ -358,7 +1856,9 @@ function recordProgressSnapshot() {
                     title: kr.title,
                     progress: krProgress,
                     current: kr.current,
-                    target: kr.target
+                    target: kr.target,
+                    baseline: kr.baseline,
+                    unit: kr.unit
                 };
             });
         }
@@ -382,14 +1882,6 @@ function recordProgressSnapshot() {
     addHistoryEntry('progress-snapshot', 'system', 'all', 'Progress Snapshot', { snapshot: snapshot }, null);
 }
 
-function getKRProgress(kr) {
-    return Math.min(100, Math.round((kr.current / kr.target) * 100));
-}
-
-function isKRComplete(kr) {
-    return kr.status === 'completed' || getKRProgress(kr) >= 100;
-}
-
 function toggleCollapsible(btn) {
     const list = btn.nextElementSibling;
     const icon = btn.querySelector('.completed-toggle-icon');
@@ -403,18 +1895,29 @@ function toggleCollapsible(btn) {
 // locked=true disables all update controls (used for completed KRs)
 function renderKR(obj, kr, locked = false) {
     const krProgress = getKRProgress(kr);
-    const status = kr.status || 'on-track';
+    const status = kr.status;
     const dis = locked ? ' disabled' : '';
+    // Progress of a roll-up key result comes from its aligned objectives
+    const rollupChildren = kr.rollup && kr.type === 'numeric' ? getAlignedChildren(obj.id, kr.id) : [];
+    const taskDriven = kr.taskDriven && kr.type === 'numeric' && kr.tasks.length > 0;
+    const progressDis = locked || rollupChildren.length > 0 || taskDriven ? ' disabled' : '';
+    const openBlockers = locked ? [] : getOpenBlockers(kr);
     return `
         <div class="kr-item kr-border-${status}${locked ? ' kr-locked' : ''}" data-kr-id="${kr.id}">
             <div class="kr-info-blocks">
                 <div class="kr-badges-row">
+                    ${renderOwnerAvatar(kr.owner, true)}
                     <span class="kr-status-badge kr-status-${status}">${getStatusLabel(status)}</span>
-                    <span class="kr-confidence-badge kr-confidence-${(kr.confidence || 'Medium').toLowerCase()}">Confidence: ${kr.confidence || 'Medium'}</span>
-                    <span class="kr-weight-badge">Weight: ${kr.weight || 100}%</span>
+                    <span class="kr-confidence-badge kr-confidence-${kr.confidence.toLowerCase()}">Confidence: ${kr.confidence}</span>
+                    <span class="kr-weight-badge">Weight: ${kr.weight}%</span>
+                    ${kr.score ? `<span class="kr-meta-item obj-score-badge ${getScoreClass(kr.score.value)}" title="Scored ${escapeAttr(kr.score.scoredAt)}">Score: ${formatScore(kr.score.value)}</span>` : ''}
+                    ${openBlockers.length > 0 ? `<span class="kr-meta-item kr-blocked-badge" title="Waiting for: ${escapeAttr(openBlockers.map(blocker => blocker.kr.title).join(', '))}">⛔ Blocked by ${openBlockers.length}</span>` : ''}
+                    ${taskDriven ? `<span class="kr-meta-item kr-rollup-badge" title="Current value follows the share of done tasks">☑ Driven by tasks</span>` : ''}
+                    ${kr.rollup && kr.type === 'numeric' ? `<span class="kr-meta-item kr-rollup-badge" title="Progress is the average of the aligned objectives">↻ Rolled up from ${rollupChildren.length} objective${rollupChildren.length !== 1 ? 's' : ''}</span>` : ''}
                 </div>
                 <div class="kr-dates-row">
-                    ${(kr.created || kr.createdAt) ? `<span class="kr-meta-item">Created: ${formatDateOnly(kr.created || kr.createdAt)}</span>` : ''}
+                    ${kr.createdAt ? `<span class="kr-meta-item">Created: ${kr.createdAt}</span>` : ''}
+                    ${kr.carriedOverFrom ? `<span class="kr-meta-item" title="Copy of &quot;${escapeAttr(kr.carriedOverFrom.title)}&quot;">↩ Carried over from ${kr.carriedOverFrom.year} Q${kr.carriedOverFrom.quarter}</span>` : ''}
                     ${kr.startDate ? `<span class="kr-meta-item">Start: ${kr.startDate}</span>` : ''}
                     ${kr.targetDate ? `<span class="kr-meta-item${locked || krProgress >= 100 ? '' : getDateWarningClass(kr.targetDate)}">Target: ${kr.targetDate}</span>` : ''}
                     ${kr.lastCheckin ? `<span class="kr-meta-item ${locked || krProgress >= 100 ? '' : getCheckinDateClass(kr.lastCheckin)}">Last Check-in: ${kr.lastCheckin}</span>` : ''}
@@ -422,44 +1925,181 @@ function renderKR(obj, kr, locked = false) {
             </div>
             <div class="kr-controls">
                 <button onclick="quickCheckin('${obj.id}', '${kr.id}', this)" title="Quick Check-in" class="btn-checkin"${dis}>✓</button>
-                <button onclick="updateKR('${obj.id}', '${kr.id}', -10)" title="Decrease"${dis}>−</button>
-                <button onclick="updateKR('${obj.id}', '${kr.id}', 10)" title="Increase"${dis}>+</button>
+                <button onclick="openCheckinModal('${obj.id}', '${kr.id}')" title="Check-in with notes"${dis}>📝</button>
+                ${kr.type === 'numeric' ? `
+                <button onclick="updateKR('${obj.id}', '${kr.id}', -${kr.step})" title="Decrease by ${kr.step}"${progressDis}>−</button>
+                <button onclick="updateKR('${obj.id}', '${kr.id}', ${kr.step})" title="Increase by ${kr.step}"${progressDis}>+</button>` : ''}
                 <button onclick="openKRModal('${obj.id}', '${kr.id}')" title="Edit">✎</button>
                 <button class="btn-delete-kr" onclick="deleteKR('${obj.id}', '${kr.id}')" title="Delete">×</button>
             </div>
             <div class="kr-description">
                 <div class="kr-title">${escapeHtml(kr.title)}</div>
-                ${kr.evidence ? `<div class="kr-evidence-section"><label class="kr-section-label">Evidence:</label><div class="kr-evidence-content">${escapeHtml(kr.evidence)}</div></div>` : ''}
+                ${renderEvidence(obj, kr, locked)}
                 ${kr.comments ? `<div class="kr-comments-section"><label class="kr-section-label">Comments:</label><div class="kr-comments-content">${escapeHtml(kr.comments)}</div></div>` : ''}
             </div>
-            <div class="kr-progress-row">
-                <div class="kr-progress-slider-wrapper">
-                    <div class="kr-progress-slider-fill" style="width: ${krProgress}%"></div>
-                    <input type="range"
-                           class="kr-progress-slider"
-                           min="0"
-                           max="${kr.target}"
-                           value="${kr.current}"
-                           step="1"
-                           oninput="updateSliderFill(this)"
-                           onchange="setKRProgress('${obj.id}', '${kr.id}', this.value)"
-                           title="Drag to adjust progress"${dis}>
+            ${renderKRProgressControl(obj, kr, krProgress, progressDis)}
+            ${renderTaskList(obj, kr, locked)}
+            ${renderCheckinTimeline(kr)}
+        </div>
+    `;
+}
+
+// Warning above the objectives for each group and quarter whose weights don't add up to 100%
+function renderWeightWarnings() {
+    return getUnbalancedWeightScopes().map(scope => `
+        <div class="weight-warning">
+            ⚠ Objective weights of ${escapeHtml(getWeightScopeLabel(scope))} add up to ${scope.total}% instead of 100%.
+            ${isWeightScopeLocked(scope)
+                ? 'All of them are locked; unlock one in its form to balance them.'
+                : `<button type="button" class="btn-small" onclick="balanceScopeWeights(${escapeAttr(JSON.stringify(scope.group))}, ${escapeAttr(JSON.stringify(String(scope.year)))}, ${escapeAttr(JSON.stringify(String(scope.quarter)))})">Balance</button>`}
+        </div>
+    `).join('');
+}
+
+// Evidence of a key result: the free-text note plus link and attachment items
+function renderEvidence(obj, kr, locked) {
+    if (locked && !kr.evidence && kr.evidenceItems.length === 0) return '';
+    const items = kr.evidenceItems.map(item => `
+        <li class="kr-evidence-item">
+            ${item.type === 'link'
+                ? `<a href="${/^https?:\/\//i.test(item.url) ? escapeAttr(item.url) : '#'}" target="_blank" rel="noopener noreferrer">🔗 ${escapeHtml(item.title)}</a>`
+                : `<button type="button" class="btn-link" data-item-id="${escapeAttr(item.id)}" onclick="openAttachment(this.dataset.itemId)" title="Open ${ATTACHMENTS_FOLDER}/${escapeAttr(getAttachmentFileName(item))}">
+                    ${String(item.mimeType).startsWith('image/') ? `<img class="kr-evidence-thumb" data-attachment="${escapeAttr(item.id)}" alt="" hidden>` : ''}
+                    📎 ${escapeHtml(item.title)} <span class="group-count">${formatFileSize(Number(item.size) || 0)}</span>
+                </button>`}
+            ${locked ? '' : `<button type="button" class="btn-icon btn-delete" data-item-id="${escapeAttr(item.id)}" onclick="removeEvidenceItem('${obj.id}', '${kr.id}', this.dataset.itemId)" title="Remove evidence">&#128465;</button>`}
+        </li>
+    `).join('');
+    return `
+        <div class="kr-evidence-section">
+            <label class="kr-section-label">Evidence:</label>
+            ${kr.evidence ? `<div class="kr-evidence-content">${escapeHtml(kr.evidence)}</div>` : ''}
+            ${items ? `<ul class="kr-evidence-list">${items}</ul>` : ''}
+            ${locked ? '' : `
+                <div class="kr-evidence-actions">
+                    <button type="button" class="btn-small" onclick="addEvidenceLink('${obj.id}', '${kr.id}')">🔗 Add Link</button>
+                    ${storageMode === 'file' ? `<button type="button" class="btn-small" onclick="attachEvidenceFiles('${obj.id}', '${kr.id}')">📎 Attach File</button>` : ''}
                 </div>
-                <span class="kr-value">${kr.current} / ${kr.target}</span>
-            </div>
+            `}
         </div>
     `;
 }
 
-// Render all objectives
-function renderObjectives() {
-    const container = document.getElementById('objectives-container');
-    
-    if (!fileHandle) {
-        container.innerHTML = `
+// Inline-editable initiatives/tasks of a key result
+function renderTaskList(obj, kr, locked) {
+    if (locked && kr.tasks.length === 0) return '';
+    const dis = locked ? ' disabled' : '';
+    const ownerOptions = selected => '<option value="">— Unassigned —</option>' + data.people
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(person => `<option value="${escapeAttr(person.id)}"${person.id === selected ? ' selected' : ''}>${escapeHtml(person.name)}</option>`)
+        .join('');
+    const doneCount = kr.tasks.filter(task => task.done).length;
+    return `
+        <div class="kr-tasks">
+            <label class="kr-section-label">Tasks${kr.tasks.length > 0 ? ` (${doneCount}/${kr.tasks.length} done)` : ''}:</label>
+            <ul class="kr-task-list">
+                ${kr.tasks.map(task => `
+                    <li class="kr-task${task.done ? ' kr-task-done' : ''}">
+                        <input type="checkbox" onchange="updateTask('${obj.id}', '${kr.id}', '${task.id}', 'done', this.checked)"${task.done ? ' checked' : ''}${dis} title="Done">
+                        <input type="text" class="kr-task-title" value="${escapeAttr(task.title)}" onchange="updateTask('${obj.id}', '${kr.id}', '${task.id}', 'title', this.value)"${dis} aria-label="Task">
+                        <select class="kr-task-owner" onchange="updateTask('${obj.id}', '${kr.id}', '${task.id}', 'owner', this.value || null)"${dis} aria-label="Task owner">${ownerOptions(task.owner)}</select>
+                        <input type="date" class="kr-task-due${task.done ? '' : getDateWarningClass(task.dueDate)}" value="${escapeAttr(task.dueDate)}" onchange="updateTask('${obj.id}', '${kr.id}', '${task.id}', 'dueDate', this.value)"${dis} title="Due date">
+                        <button type="button" class="btn-icon btn-delete" onclick="removeTask('${obj.id}', '${kr.id}', '${task.id}')"${dis} title="Remove task">&#128465;</button>
+                    </li>
+                `).join('')}
+            </ul>
+            ${locked ? '' : `<input type="text" class="kr-task-new" placeholder="+ Add initiative or task…" onkeydown="if (event.key === 'Enter') addTask('${obj.id}', '${kr.id}', this)">`}
+        </div>
+    `;
+}
+
+// Collapsible list of a key result's check-ins, newest first
+function renderCheckinTimeline(kr) {
+    if (kr.checkins.length === 0) return '';
+    return `
+        <div class="kr-checkins">
+            <button class="kr-completed-toggle" onclick="toggleCollapsible(this)" aria-expanded="false">
+                <span class="completed-toggle-icon">&#9654;</span>
+                Check-ins
+                <span class="completed-count">${kr.checkins.length}</span>
+            </button>
+            <ol class="kr-checkin-timeline" hidden>
+                ${kr.checkins.slice().reverse().map(checkin => `
+                    <li class="kr-checkin">
+                        <div class="kr-checkin-header">
+                            <span class="kr-checkin-date">${checkin.date}</span>
+                            <span>${escapeHtml(formatCheckinProgress(kr, checkin))}</span>
+                            <span class="kr-status-badge kr-status-${checkin.status}">${getStatusLabel(checkin.status)}</span>
+                            <span class="kr-confidence-badge kr-confidence-${checkin.confidence.toLowerCase()}">Confidence: ${checkin.confidence}</span>
+                        </div>
+                        ${checkin.note ? `<div class="kr-checkin-note">${escapeHtml(checkin.note)}</div>` : ''}
+                        ${checkin.blockers ? `<div class="kr-checkin-blockers"><label class="kr-section-label">Blockers:</label> ${escapeHtml(checkin.blockers)}</div>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        </div>
+    `;
+}
+
+// Progress input for a key result: slider for numeric, checkbox for binary, checklist for milestones
+function renderKRProgressControl(obj, kr, krProgress, progressDis) {
+    if (kr.type === 'binary') {
+        return `
+            <div class="kr-progress-row">
+                <label class="checkbox-label kr-binary-toggle">
+                    <input type="checkbox" onchange="setKRProgress('${obj.id}', '${kr.id}', this.checked ? 1 : 0)"${kr.current >= kr.target ? ' checked' : ''}${progressDis}>
+                    Done
+                </label>
+                <span class="kr-value">${formatKRProgressValue(kr)}</span>
+            </div>
+        `;
+    }
+    if (kr.type === 'milestone') {
+        return `
+            <div class="kr-progress-row kr-milestone-row">
+                <ul class="kr-milestones">
+                    ${kr.milestones.map(m => `
+                        <li class="kr-milestone${m.done ? ' kr-milestone-done' : ''}">
+                            <label class="checkbox-label" title="Weight: ${m.weight}">
+                                <input type="checkbox" onchange="toggleMilestone('${obj.id}', '${kr.id}', '${m.id}')"${m.done ? ' checked' : ''}${progressDis}>
+                                ${escapeHtml(m.title)}
+                            </label>
+                        </li>
+                    `).join('')}
+                </ul>
+                <span class="kr-value">${formatKRProgressValue(kr)} (${krProgress}%)</span>
+            </div>
+        `;
+    }
+    return `
+            <div class="kr-progress-row">
+                <div class="kr-progress-slider-wrapper">
+                    <div class="kr-progress-slider-fill" style="width: ${krProgress}%"></div>
+                    <input type="range"
+                           class="kr-progress-slider"
+                           min="0"
+                           max="${Math.abs(kr.target - kr.baseline)}"
+                           value="${Math.abs(kr.current - kr.baseline)}"
+                           step="${Math.pow(10, -kr.precision)}"
+                           oninput="updateSliderFill(this)"
+                           onchange="setKRProgress('${obj.id}', '${kr.id}', ${kr.baseline} ${kr.direction === 'decrease' ? '-' : '+'} Number(this.value))"
+                           title="Drag to adjust progress"${progressDis}>
+                </div>
+                <span class="kr-value" title="${kr.direction === 'decrease' ? 'Decrease' : 'Increase'} from ${escapeAttr(formatKRValue(kr, kr.baseline))} to ${escapeAttr(formatKRValue(kr, kr.target))}">${escapeHtml(formatKRProgressValue(kr))}</span>
+            </div>
+    `;
+}
+
+// Render all objectives
+function renderObjectives() {
+    const container = document.getElementById('objectives-container');
+    
+    if (!getStorage().isConnected()) {
+        container.innerHTML = `
             <div class="empty-state">
                 <span>📁</span>
-                <p>Open or create a JSON file to get started</p>
+                <p>${storageMode === 'browser' ? 'Import a JSON file or start a new workspace to get started' : 'Open or create a JSON file to get started'}</p>
             </div>
         `;
         return;
@@ -483,14 +2123,21 @@ function renderObjectives() {
     // Filter objectives based on selected group
     let filteredObjectives = data.objectives;
     if (selectedGroupFilter) {
-        filteredObjectives = data.objectives.filter(obj => (obj.group || 'Personal') === selectedGroupFilter);
+        filteredObjectives = data.objectives.filter(obj => obj.group === selectedGroupFilter);
+    }
+    // Owner filter: objectives the person owns or owns a key result or task of
+    if (selectedOwnerFilter) {
+        filteredObjectives = filteredObjectives.filter(obj =>
+            obj.owner === selectedOwnerFilter || obj.keyResults.some(kr => kr.owner === selectedOwnerFilter ||
+                kr.tasks.some(task => task.owner === selectedOwnerFilter)));
     }
     
     if (filteredObjectives.length === 0) {
+        const ownerName = getPersonName(selectedOwnerFilter);
         container.innerHTML = `
             <div class="empty-state">
                 <span>🎯</span>
-                <p>No ${selectedGroupFilter || ''} objectives found.</p>
+                <p>No ${escapeHtml(selectedGroupFilter || '')} objectives${ownerName ? ` owned by ${escapeHtml(ownerName)}` : ''} found.</p>
             </div>
         `;
         return;
@@ -520,7 +2167,8 @@ function renderObjectives() {
         `;
     }
 
-    container.innerHTML = activeHTML + completedHTML;
+    container.innerHTML = renderWeightWarnings() + activeHTML + completedHTML;
+    loadAttachmentThumbnails().catch(e => console.error('Failed to load attachment thumbnails:', e));
 }
 
 
@@ -556,10 +2204,13 @@ function renderObjectiveCard(obj, progress = calculateProgress(obj)) {
             <div class="objective-header">
                 <div class="objective-info">
                     <div class="objective-meta">
-                        <span class="obj-badge obj-group-${(obj.group || 'Personal').toLowerCase()}">${obj.group || 'Personal'}</span>
+                        <span class="obj-badge" style="${getGroupBadgeStyle(obj.group)}">${escapeHtml(obj.group)}</span>
+                        ${obj.owner ? `<span class="obj-badge obj-owner-badge">${renderOwnerAvatar(obj.owner, true)}</span>` : ''}
                         <span class="obj-badge">${obj.year || ''} Q${obj.quarter || ''}</span>
-                        <span class="obj-badge">${obj.weight || 100}%</span>
-                        ${(obj.created || obj.createdAt) ? `<span class="obj-badge">Created<br>${formatDateOnly(obj.created || obj.createdAt)}</span>` : ''}
+                        ${obj.carriedOverFrom ? `<span class="obj-badge" title="Copy of &quot;${escapeAttr(obj.carriedOverFrom.title)}&quot;">↩ Carried over from<br>${obj.carriedOverFrom.year} Q${obj.carriedOverFrom.quarter}</span>` : ''}
+                        <span class="obj-badge"${obj.weightLocked ? ' title="Weight locked: balancing skips this objective"' : ''}>${obj.weightLocked ? '🔒 ' : ''}${obj.weight}%</span>
+                        ${obj.score ? `<span class="obj-badge obj-score-badge ${getScoreClass(obj.score.value)}" title="Scored ${escapeAttr(obj.score.scoredAt)} (progress was ${obj.score.computed.toFixed(2)})">Score<br>${formatScore(obj.score.value)}</span>` : ''}
+                        ${obj.createdAt ? `<span class="obj-badge">Created<br>${obj.createdAt}</span>` : ''}
                         ${obj.startDate ? `<span class="obj-badge">Start Date<br>${obj.startDate}</span>` : ''}
                         ${obj.targetDate ? `<span class="obj-badge${getDateWarningClass(obj.targetDate)}">Due Date<br>${obj.targetDate}</span>` : ''}
                         ${obj.lastCheckin ? `<span class="obj-badge">Last Check-in<br>${obj.lastCheckin}</span>` : ''}
@@ -569,10 +2220,13 @@ function renderObjectiveCard(obj, progress = calculateProgress(obj)) {
                         <h3 class="objective-title">${escapeHtml(obj.title)}</h3>
                     </div>
                     ${obj.purpose ? `<div class="objective-content-box"><label class="box-label">Purpose</label><p class="objective-purpose">${escapeHtml(obj.purpose)}</p></div>` : ''}
+                    ${obj.parent && describeParentLink(obj.parent) ? `<div class="objective-alignment">↑ Supports: ${escapeHtml(describeParentLink(obj.parent))}</div>` : ''}
                 </div>
                 <div class="objective-actions">
                     <button class="btn-icon btn-add-kr" onclick="openKRModal('${obj.id}')" title="Add Key Result">+</button>
                     <button class="btn-icon" onclick="openObjectiveModal('${obj.id}')" title="Edit">&#9998;</button>
+                    <button class="btn-icon" onclick="saveObjectiveAsTemplate('${obj.id}')" title="Save as template">📋</button>
+                    <button class="btn-icon" onclick="openScoreModal('${obj.id}')" title="Score & retrospective">🎓</button>
                     <button class="btn-icon btn-delete" onclick="deleteObjective('${obj.id}')" title="Delete">&#128465;</button>
                 </div>
             </div>
@@ -617,18 +2271,14 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-// Format date to show only date part (YYYY-MM-DD)
-function formatDateOnly(dateString) {
-    if (!dateString) return '';
-    // If it's already in YYYY-MM-DD format, return as is
-    if (dateString.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        return dateString;
-    }
-    // If it's an ISO string with time, extract just the date part
-    if (dateString.includes('T')) {
-        return dateString.split('T')[0];
-    }
-    return dateString;
+// Escape text for a quoted attribute value; escapeHtml leaves quotes as they are
+function escapeAttr(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // Get progress bar color based on percentage
@@ -675,10 +2325,49 @@ function addHistoryEntry(type, itemType, itemId, itemTitle, changes, group = nul
     
     data.history.unshift(entry); // Add to beginning
     
-    // Keep only last 1000 history entries to prevent file bloat
-    if (data.history.length > 1000) {
-        data.history = data.history.slice(0, 1000);
-    }
+    archiveHistory();
+}
+
+// Keep the live history at HISTORY_LIVE_LIMIT entries by moving older ones into
+// data.archive instead of dropping them. Change events are archived as they are;
+// progress snapshots are downsampled to one per day (one per week once old).
+function archiveHistory() {
+    if (data.history.length <= HISTORY_LIVE_LIMIT) return;
+    const overflow = data.history.splice(HISTORY_LIVE_LIMIT);
+    overflow.forEach(entry => {
+        if (entry.type === 'progress-snapshot') {
+            data.archive.snapshots.push(entry);
+        } else {
+            data.archive.history.push(entry);
+        }
+    });
+    data.archive.history.sort(newestFirst);
+    data.archive.snapshots = downsampleSnapshots(data.archive.snapshots);
+}
+
+// Keep the latest snapshot per day, or per week for snapshots older than SNAPSHOT_WEEKLY_AFTER_DAYS
+function downsampleSnapshots(snapshots) {
+    const weeklyBefore = Date.now() - SNAPSHOT_WEEKLY_AFTER_DAYS * 24 * 60 * 60 * 1000;
+    const latestByPeriod = new Map();
+    snapshots.forEach(entry => {
+        const time = new Date(entry.timestamp);
+        const period = time.getTime() < weeklyBefore
+            ? `week-${getWeekStart(time)}`
+            : `day-${formatDateOnly(entry.timestamp)}`;
+        const existing = latestByPeriod.get(period);
+        if (!existing || time > new Date(existing.timestamp)) {
+            latestByPeriod.set(period, entry);
+        }
+    });
+    return [...latestByPeriod.values()].sort(newestFirst);
+}
+
+// Get the Monday of a date's week as YYYY-MM-DD
+function getWeekStart(date) {
+    const monday = new Date(date);
+    monday.setHours(0, 0, 0, 0);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return monday.toISOString().split('T')[0];
 }
 
 // Check if last check-in is 8 days or more ago (deprecated, kept for backward compatibility)
@@ -735,6 +2424,60 @@ function getDateWarningClass(targetDate) {
     return '';
 }
 
+// Undo/redo: each mutation records a snapshot of the whole data document (objectives
+// and history) before it changes anything, so undoing also rolls back its history entries
+const UNDO_LIMIT = 50;
+let undoStack = []; // [{ label, snapshot }] - snapshot is the JSON of `data` before the change
+let redoStack = [];
+let toastTimer = null;
+
+// Record the current state before a mutation
+function recordUndo(label) {
+    undoStack.push({ label, snapshot: JSON.stringify(data) });
+    if (undoStack.length > UNDO_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+}
+
+// Forget undo/redo history (when the data is replaced from outside this tab)
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+// Move one step between the undo and redo stacks, then save and re-render
+async function applyUndoStep(fromStack, toStack, verb) {
+    const step = fromStack.pop();
+    if (!step) return;
+    toStack.push({ label: step.label, snapshot: JSON.stringify(data) });
+    data = JSON.parse(step.snapshot);
+    scheduleSave();
+    updateDashboardCharts();
+    renderObjectives();
+    showToast(`${verb}: ${step.label}`);
+}
+
+async function undo() {
+    await applyUndoStep(undoStack, redoStack, 'Undone');
+}
+
+async function redo() {
+    await applyUndoStep(redoStack, undoStack, 'Redone');
+}
+
+// Show a short message at the bottom of the screen, with an Undo button for destructive actions
+function showToast(message, withUndo = false) {
+    const toast = document.getElementById('toast');
+    document.getElementById('toast-message').textContent = message;
+    document.getElementById('toast-undo').hidden = !withUndo;
+    toast.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
+        toast.hidden = true;
+    }, 6000);
+}
+
 // Open objective modal
 function openObjectiveModal(objectiveId = null) {
     const form = document.getElementById('objective-form');
@@ -746,14 +2489,17 @@ function openObjectiveModal(objectiveId = null) {
         const obj = data.objectives.find(o => o.id === objectiveId);
         if (obj) {
             document.getElementById('objective-modal-title').textContent = 'Edit Objective';
-            document.getElementById('objective-group').value = obj.group || 'Personal';
+            document.getElementById('objective-group').value = obj.group;
+            document.getElementById('objective-owner').value = obj.owner || '';
+            renderParentOptions(obj);
             document.getElementById('objective-year').value = obj.year || new Date().getFullYear();
             document.getElementById('objective-quarter').value = obj.quarter || '1';
             document.getElementById('objective-title').value = obj.title;
             document.getElementById('objective-purpose').value = obj.purpose || '';
             document.getElementById('objective-start-date').value = obj.startDate || '';
             document.getElementById('objective-target-date').value = obj.targetDate || '';
-            document.getElementById('objective-weight').value = obj.weight || 100;
+            document.getElementById('objective-weight').value = obj.weight;
+            document.getElementById('objective-weight-locked').checked = obj.weightLocked;
             document.getElementById('objective-last-checkin').value = obj.lastCheckin || '';
         }
     } else {
@@ -763,45 +2509,119 @@ function openObjectiveModal(objectiveId = null) {
         const currentQuarter = Math.ceil((new Date().getMonth() + 1) / 3);
         document.getElementById('objective-quarter').value = currentQuarter;
         document.getElementById('objective-start-date').value = new Date().toISOString().split('T')[0];
+        renderParentOptions(null);
     }
     
     document.getElementById('objective-modal').classList.add('active');
     document.getElementById('objective-title').focus();
 }
 
-// Auto-balance objective weights (no save, called during add)
-function autoBalanceObjectiveWeights() {
-    if (data.objectives.length === 0) return;
-    const equalWeight = Math.floor(100 / data.objectives.length);
-    const remainder = 100 - (equalWeight * data.objectives.length);
+// Fill the "Supports" picker with objectives and key results this objective can align to
+// (not itself or anything already aligned below it, which would make a cycle)
+function renderParentOptions(obj) {
+    const select = document.getElementById('objective-parent');
+    const candidates = data.objectives.filter(o => !obj || (o.id !== obj.id && !isAlignedBelow(o, obj.id)));
+    select.innerHTML = '<option value="">— Not aligned —</option>' + candidates.map(o => `
+        <optgroup label="${escapeAttr(o.group)} · ${escapeAttr(o.title)}">
+            <option value="${escapeAttr(o.id)}">${escapeHtml(o.title)}</option>
+            ${o.keyResults.map(kr => `<option value="${escapeAttr(`${o.id}/${kr.id}`)}">↳ ${escapeHtml(kr.title)}</option>`).join('')}
+        </optgroup>
+    `).join('');
+    select.value = obj && obj.parent ? [obj.parent.objectiveId, obj.parent.krId].filter(Boolean).join('/') : '';
+}
+
+// Objective weights add up to 100% per scope: the objectives of one group in one quarter.
+// `scope` is anything with group, year and quarter, e.g. an objective.
+function isInWeightScope(obj, scope) {
+    return obj.group === scope.group && String(obj.year) === String(scope.year) && String(obj.quarter) === String(scope.quarter);
+}
+
+function getWeightScopeLabel(scope) {
+    return `${scope.group} ${scope.year} Q${scope.quarter}`;
+}
+
+// Share what the locked objectives leave equally among the others
+function distributeObjectiveWeights(objectives, totalWeight) {
+    const unlocked = objectives.filter(obj => !obj.weightLocked);
+    if (unlocked.length === 0) return;
+    const lockedWeight = objectives.filter(obj => obj.weightLocked).reduce((sum, obj) => sum + obj.weight, 0);
+    const remainingWeight = Math.max(0, totalWeight - lockedWeight);
+    const equalWeight = Math.floor(remainingWeight / unlocked.length);
+    const remainder = remainingWeight - (equalWeight * unlocked.length);
     
-    data.objectives.forEach((obj, index) => {
+    unlocked.forEach((obj, index) => {
         obj.weight = equalWeight + (index < remainder ? 1 : 0);
     });
 }
 
-// Balance other objectives after one is manually set
+// Auto-balance the objective weights of a scope (no save, called during add)
+function autoBalanceObjectiveWeights(scope) {
+    distributeObjectiveWeights(data.objectives.filter(obj => isInWeightScope(obj, scope)), 100);
+}
+
+// Balance the other objectives of its scope after one is manually set
 function balanceOtherObjectives(editedId, manualWeight) {
-    if (data.objectives.length <= 1) return;
-    
-    const remainingWeight = 100 - manualWeight;
-    const others = data.objectives.filter(o => o.id !== editedId);
-    
-    if (others.length === 0) return;
-    
-    const equalWeight = Math.floor(remainingWeight / others.length);
-    const remainder = remainingWeight - (equalWeight * others.length);
-    
-    others.forEach((obj, index) => {
-        obj.weight = equalWeight + (index < remainder ? 1 : 0);
+    const edited = data.objectives.find(o => o.id === editedId);
+    if (!edited) return;
+    const others = data.objectives.filter(o => o.id !== editedId && isInWeightScope(o, edited));
+    distributeObjectiveWeights(others, 100 - manualWeight);
+}
+
+// Scopes whose objective weights don't add up to 100%, as [{ group, year, quarter, total }]
+function getUnbalancedWeightScopes() {
+    const scopes = [];
+    data.objectives.forEach(obj => {
+        const scope = scopes.find(s => isInWeightScope(obj, s));
+        if (scope) {
+            scope.total += obj.weight;
+        } else {
+            scopes.push({ group: obj.group, year: obj.year, quarter: obj.quarter, total: obj.weight });
+        }
     });
+    return scopes.filter(scope => scope.total !== 100);
 }
 
-// Balance all objective weights equally (with save, called from button)
-async function balanceObjectiveWeights() {
-    autoBalanceObjectiveWeights();
-    await saveToFile();
+// Whether balancing can't change a scope because every objective in it has a locked weight
+function isWeightScopeLocked(scope) {
+    return data.objectives.filter(obj => isInWeightScope(obj, scope)).every(obj => obj.weightLocked);
+}
+
+// Balance one scope (with save, called from the warning and the objective form)
+async function balanceScopeWeights(group, year, quarter) {
+    if (isWeightScopeLocked({ group, year, quarter })) {
+        alert(`Every objective of ${getWeightScopeLabel({ group, year, quarter })} has a locked weight. Unlock one to balance the weights.`);
+        return;
+    }
+    recordUndo('Balance objective weights');
+    autoBalanceObjectiveWeights({ group, year, quarter });
+    scheduleSave();
     renderObjectives();
+    showToast(`Objective weights of ${getWeightScopeLabel({ group, year, quarter })} balanced`, true);
+}
+
+// Balance the scope picked in the objective form and show the edited objective's new weight
+async function balanceObjectiveWeights() {
+    const scope = {
+        group: document.getElementById('objective-group').value,
+        year: document.getElementById('objective-year').value,
+        quarter: document.getElementById('objective-quarter').value
+    };
+    await balanceScopeWeights(scope.group, scope.year, scope.quarter);
+    const edited = data.objectives.find(o => o.id === document.getElementById('objective-edit-id').value);
+    if (edited && isInWeightScope(edited, scope)) {
+        document.getElementById('objective-weight').value = edited.weight;
+    }
+}
+
+// Weighted average progress of objectives; each scope's weights add up to 100,
+// so scopes count equally. Falls back to the plain mean when all weights are 0.
+function getWeightedProgress(objectives) {
+    if (objectives.length === 0) return 0;
+    const totalWeight = objectives.reduce((sum, obj) => sum + obj.weight, 0);
+    if (totalWeight === 0) {
+        return Math.round(objectives.reduce((sum, obj) => sum + calculateProgress(obj), 0) / objectives.length);
+    }
+    return Math.round(objectives.reduce((sum, obj) => sum + calculateProgress(obj) * obj.weight, 0) / totalWeight);
 }
 
 // Auto-balance KR weights (no save, called during add)
@@ -837,25 +2657,31 @@ function balanceOtherKRs(objectiveId, editedKRId, manualWeight) {
 
 // Balance key result weights for a specific objective (with save, called from button)
 async function balanceKRWeights(objectiveId) {
+    recordUndo('Balance key result weights');
     autoBalanceKRWeights(objectiveId);
-    await saveToFile();
+    // Key result weights change the objective's progress, which may feed a roll-up
+    applyRollups(data);
+    scheduleSave();
     renderObjectives();
+    showToast('Key result weights balanced', true);
 }
 
 // Save objective (add or update)
 async function saveObjective(formData) {
-    if (!fileHandle) {
+    if (!getStorage().isConnected()) {
         alert('Please open or create a file first');
         return;
     }
     
     const editId = formData.editId;
+    recordUndo(editId ? 'Edit objective' : 'Add objective');
     
     if (editId) {
         // Update existing
         const obj = data.objectives.find(o => o.id === editId);
         if (obj) {
             const oldWeight = obj.weight;
+            const oldScope = { group: obj.group, year: obj.year, quarter: obj.quarter };
             const changes = {};
             
             // Track all possible changes
@@ -867,7 +2693,10 @@ async function saveObjective(formData) {
             if (obj.startDate !== formData.startDate) changes.startDate = { from: obj.startDate || '', to: formData.startDate || '' };
             if (obj.targetDate !== formData.targetDate) changes.targetDate = { from: obj.targetDate || '', to: formData.targetDate || '' };
             if (obj.weight !== formData.weight) changes.weight = { from: obj.weight, to: formData.weight };
+            if (obj.weightLocked !== formData.weightLocked) changes.weightLocked = { from: obj.weightLocked ? 'On' : 'Off', to: formData.weightLocked ? 'On' : 'Off' };
             if (obj.lastCheckin !== formData.lastCheckin) changes.lastCheckin = { from: obj.lastCheckin || '', to: formData.lastCheckin || '' };
+            if (!sameValue(obj.parent, formData.parent)) changes.alignedTo = { from: describeParentLink(obj.parent) || 'None', to: describeParentLink(formData.parent) || 'None' };
+            if (obj.owner !== formData.owner) changes.owner = { from: getPersonName(obj.owner) || 'Unassigned', to: getPersonName(formData.owner) || 'Unassigned' };
             
             obj.group = formData.group;
             obj.year = formData.year;
@@ -877,15 +2706,26 @@ async function saveObjective(formData) {
             obj.startDate = formData.startDate;
             obj.targetDate = formData.targetDate;
             obj.weight = formData.weight;
+            obj.weightLocked = formData.weightLocked;
             obj.lastCheckin = formData.lastCheckin;
+            obj.owner = formData.owner;
+            obj.parent = formData.parent;
             
             // Track changes in history (record if any field changed)
             if (Object.keys(changes).length > 0) {
                 addHistoryEntry('updated', 'objective', editId, formData.title, changes, formData.group);
             }
             
+            // Moved to another group or quarter: rebalance the scope it left and the one it joined
+            if (!isInWeightScope(obj, oldScope)) {
+                autoBalanceObjectiveWeights(oldScope);
+                if (obj.weightLocked) {
+                    balanceOtherObjectives(editId, formData.weight);
+                } else {
+                    autoBalanceObjectiveWeights(obj);
+                }
             // If weight changed, balance other objectives
-            if (oldWeight !== formData.weight) {
+            } else if (oldWeight !== formData.weight) {
                 balanceOtherObjectives(editId, formData.weight);
             }
         }
@@ -902,19 +2742,25 @@ async function saveObjective(formData) {
             purpose: formData.purpose,
             startDate: formData.startDate,
             targetDate: formData.targetDate,
-            weight: 0, // Will be balanced
+            weight: formData.weightLocked ? formData.weight : 0, // Will be balanced
+            weightLocked: formData.weightLocked,
             lastCheckin: formData.lastCheckin,
+            owner: formData.owner,
+            parent: formData.parent,
+            carriedOverFrom: null,
+            score: null,
             keyResults: [],
             createdAt: today
         });
-        // Auto-balance all objective weights
-        autoBalanceObjectiveWeights();
+        // Auto-balance the weights of its group and quarter
+        autoBalanceObjectiveWeights(formData);
         // Track creation in history
-        addHistoryEntry('created', 'objective', newId, formData.title, { created: true }, formData.group);
+        const created = formData.owner ? { created: true, owner: getPersonName(formData.owner) } : { created: true };
+        addHistoryEntry('created', 'objective', newId, formData.title, created, formData.group);
     }
     
     recordProgressSnapshot(); // Record snapshot before saving
-    await saveToFile(); // Save including the snapshot
+    scheduleSave(); // Save including the snapshot
     // Update charts immediately before rendering to ensure they reflect the new objective
     updateDashboardCharts();
     renderObjectives();
@@ -923,16 +2769,25 @@ async function saveObjective(formData) {
 // Delete objective
 async function deleteObjective(id) {
     if (!confirm('Delete this objective and all its key results?')) return;
+    recordUndo('Delete objective');
     const obj = data.objectives.find(o => o.id === id);
     if (obj) {
         addHistoryEntry('deleted', 'objective', id, obj.title, { deleted: true }, obj.group);
     }
     data.objectives = data.objectives.filter(obj => obj.id !== id);
+    removeBlockerLinks(link => link.objectiveId === id);
+    // Objectives aligned to it are no longer aligned
+    data.objectives.forEach(child => {
+        if (child.parent && child.parent.objectiveId === id) {
+            child.parent = null;
+        }
+    });
     recordProgressSnapshot(); // Record snapshot before saving
-    await saveToFile(); // Save including the snapshot
+    scheduleSave(); // Save including the snapshot
     // Update charts immediately to reflect deletion
     updateDashboardCharts();
     renderObjectives();
+    showToast('Objective deleted', true);
 }
 
 // Open modal to add key result
@@ -950,22 +2805,40 @@ function openKRModal(objectiveId, krId = null) {
             document.getElementById('kr-modal-title').textContent = 'Edit Key Result';
             if (submitBtn) submitBtn.textContent = 'Save Key Result';
             document.getElementById('kr-title').value = kr.title;
+            document.getElementById('kr-type').value = kr.type;
+            milestoneDrafts = kr.milestones.map(m => ({ ...m }));
             document.getElementById('kr-target').value = kr.target;
+            document.getElementById('kr-baseline').value = kr.baseline;
+            document.getElementById('kr-direction').value = kr.direction;
+            document.getElementById('kr-unit').value = kr.unit;
+            document.getElementById('kr-precision').value = kr.precision;
+            document.getElementById('kr-step').value = kr.step;
             document.getElementById('kr-start-date').value = kr.startDate || '';
             document.getElementById('kr-target-date').value = kr.targetDate || '';
-            document.getElementById('kr-weight').value = kr.weight || 100;
-            document.getElementById('kr-status').value = kr.status || 'on-track';
-            document.getElementById('kr-confidence').value = kr.confidence || 'Medium';
+            document.getElementById('kr-weight').value = kr.weight;
+            document.getElementById('kr-status').value = kr.status;
+            document.getElementById('kr-confidence').value = kr.confidence;
             document.getElementById('kr-last-checkin').value = kr.lastCheckin || '';
             document.getElementById('kr-evidence').value = kr.evidence || '';
             document.getElementById('kr-comments').value = kr.comments || '';
+            document.getElementById('kr-owner').value = kr.owner || '';
+            document.getElementById('kr-rollup').checked = kr.rollup;
+            document.getElementById('kr-task-driven').checked = kr.taskDriven;
+            renderBlockedByOptions(kr);
         }
     } else {
         // Add mode
         document.getElementById('kr-modal-title').textContent = 'Add Key Result';
         if (submitBtn) submitBtn.textContent = 'Add Key Result';
         document.getElementById('kr-title').value = '';
+        document.getElementById('kr-type').value = 'numeric';
+        milestoneDrafts = [];
         document.getElementById('kr-target').value = '100';
+        document.getElementById('kr-baseline').value = '0';
+        document.getElementById('kr-direction').value = 'increase';
+        document.getElementById('kr-unit').value = '';
+        document.getElementById('kr-precision').value = '0';
+        document.getElementById('kr-step').value = '10';
         document.getElementById('kr-start-date').value = new Date().toISOString().split('T')[0];
         document.getElementById('kr-target-date').value = '';
         document.getElementById('kr-weight').value = '100';
@@ -974,21 +2847,103 @@ function openKRModal(objectiveId, krId = null) {
         document.getElementById('kr-last-checkin').value = '';
         document.getElementById('kr-evidence').value = '';
         document.getElementById('kr-comments').value = '';
+        // New key results default to the objective's owner
+        const objective = data.objectives.find(obj => obj.id === objectiveId);
+        document.getElementById('kr-owner').value = (objective && objective.owner) || '';
+        document.getElementById('kr-rollup').checked = false;
+        document.getElementById('kr-task-driven').checked = false;
+        renderBlockedByOptions(null);
     }
     
+    updateKRTypeFields();
+    renderMilestoneDrafts();
     document.getElementById('kr-modal').classList.add('active');
     document.getElementById('kr-title').focus();
 }
 
+// Key results this one can wait for: all others, except those already waiting for it
+function renderBlockedByOptions(kr) {
+    const select = document.getElementById('kr-blocked-by');
+    const selected = kr ? kr.blockedBy.map(link => `${link.objectiveId}/${link.krId}`) : [];
+    select.innerHTML = data.objectives.map(o => {
+        const candidates = o.keyResults.filter(k => !kr || (k.id !== kr.id && !dependsOn(k, kr.id)));
+        if (candidates.length === 0) return '';
+        return `
+            <optgroup label="${escapeAttr(o.group)} · ${escapeAttr(o.title)}">
+                ${candidates.map(k => `<option value="${escapeAttr(`${o.id}/${k.id}`)}"${selected.includes(`${o.id}/${k.id}`) ? ' selected' : ''}>${escapeHtml(k.title)}</option>`).join('')}
+            </optgroup>
+        `;
+    }).join('');
+}
+
+// Show the inputs that belong to the selected key result type
+function updateKRTypeFields() {
+    const type = document.getElementById('kr-type').value;
+    document.getElementById('kr-numeric-fields').style.display = type === 'numeric' ? '' : 'none';
+    document.getElementById('kr-milestone-fields').style.display = type === 'milestone' ? '' : 'none';
+    // Hidden required fields would block submitting binary and milestone key results
+    document.getElementById('kr-baseline').required = type === 'numeric';
+    document.getElementById('kr-target').required = type === 'numeric';
+}
+
+let milestoneDrafts = []; // [{ id, title, weight, done }] being edited in the key result modal
+
+function renderMilestoneDrafts() {
+    const list = document.getElementById('kr-milestone-list');
+    list.innerHTML = milestoneDrafts.map((milestone, index) => `
+        <div class="group-row">
+            <input type="checkbox" ${milestone.done ? 'checked' : ''} onchange="milestoneDrafts[${index}].done = this.checked" title="Done">
+            <input type="text" value="${escapeAttr(milestone.title)}" oninput="milestoneDrafts[${index}].title = this.value" aria-label="Milestone">
+            <input type="number" class="milestone-weight" value="${milestone.weight}" min="1" oninput="milestoneDrafts[${index}].weight = Math.max(1, parseInt(this.value) || 1)" title="Weight">
+            <button type="button" class="btn-icon btn-delete" onclick="removeMilestoneDraft(${index})" title="Remove milestone">&#128465;</button>
+        </div>
+    `).join('');
+}
+
+function addMilestoneDraft() {
+    const input = document.getElementById('new-milestone-title');
+    const title = input.value.trim();
+    if (!title) return;
+    const weight = Math.max(1, parseInt(document.getElementById('new-milestone-weight').value) || 1);
+    milestoneDrafts.push({ id: generateId(), title, weight, done: false });
+    input.value = '';
+    document.getElementById('new-milestone-weight').value = '1';
+    renderMilestoneDrafts();
+    input.focus();
+}
+
+function removeMilestoneDraft(index) {
+    milestoneDrafts.splice(index, 1);
+    renderMilestoneDrafts();
+}
+
+// Pending resolvers for modals opened with waitForModalChoice, keyed by modal id
+const modalChoiceResolvers = {};
+
+// Open a modal and resolve with the data-choice of the button that closes it
+// (null when dismissed with the close button, Escape or a backdrop click)
+function waitForModalChoice(modalId) {
+    document.getElementById(modalId).classList.add('active');
+    return new Promise(resolve => {
+        modalChoiceResolvers[modalId] = resolve;
+    });
+}
+
 // Close modal
-function closeModal(modalId = 'kr-modal') {
+function closeModal(modalId = 'kr-modal', choice = null) {
     document.getElementById(modalId).classList.remove('active');
+    const resolve = modalChoiceResolvers[modalId];
+    if (resolve) {
+        delete modalChoiceResolvers[modalId];
+        resolve(choice);
+    }
 }
 
 // Add or update key result
-async function saveKeyResult(objectiveId, title, target, startDate, targetDate, weight, status, confidence, lastCheckin, evidence, comments, editId = null) {
+async function saveKeyResult(objectiveId, krData, editId = null) {
     const objective = data.objectives.find(obj => obj.id === objectiveId);
     if (objective) {
+        recordUndo(editId ? 'Edit key result' : 'Add key result');
         if (!objective.keyResults) objective.keyResults = [];
         
         if (editId) {
@@ -999,37 +2954,68 @@ async function saveKeyResult(objectiveId, title, target, startDate, targetDate,
                 const changes = {};
                 
                 // Track all possible changes
-                if (kr.title !== title) changes.title = { from: kr.title, to: title };
-                if (kr.status !== status) changes.status = { from: kr.status, to: status };
-                if (kr.confidence !== confidence) changes.confidence = { from: kr.confidence || 'Medium', to: confidence };
-                if (kr.target !== parseInt(target)) changes.target = { from: kr.target, to: parseInt(target) };
-                if (kr.startDate !== startDate) changes.startDate = { from: kr.startDate || '', to: startDate || '' };
-                if (kr.targetDate !== targetDate) changes.targetDate = { from: kr.targetDate || '', to: targetDate || '' };
-                if (kr.weight !== parseInt(weight)) changes.weight = { from: kr.weight, to: parseInt(weight) };
-                if (kr.lastCheckin !== lastCheckin) changes.lastCheckin = { from: kr.lastCheckin || '', to: lastCheckin || '' };
-                if (kr.evidence !== evidence) changes.evidence = { from: kr.evidence || '', to: evidence || '' };
-                if (kr.comments !== comments) changes.comments = { from: kr.comments || '', to: comments || '' };
+                const wasComplete = getKRProgress(kr) >= 100;
+                if (kr.title !== krData.title) changes.title = { from: kr.title, to: krData.title };
+                if (kr.type !== krData.type) changes.type = { from: kr.type, to: krData.type };
+                const milestoneList = milestones => milestones.map(m => `${m.done ? '☑' : '☐'} ${m.title}${m.weight !== 1 ? ` (×${m.weight})` : ''}`).join(', ');
+                if (milestoneList(kr.milestones) !== milestoneList(krData.milestones)) {
+                    changes.milestones = { from: milestoneList(kr.milestones), to: milestoneList(krData.milestones) };
+                }
+                if (kr.status !== krData.status) changes.status = { from: kr.status, to: krData.status };
+                if (kr.confidence !== krData.confidence) changes.confidence = { from: kr.confidence, to: krData.confidence };
+                if (kr.baseline !== krData.baseline) changes.baseline = { from: kr.baseline, to: krData.baseline };
+                if (kr.target !== krData.target) changes.target = { from: kr.target, to: krData.target };
+                if (kr.direction !== krData.direction) changes.direction = { from: kr.direction, to: krData.direction };
+                if (kr.unit !== krData.unit) changes.unit = { from: kr.unit, to: krData.unit };
+                if (kr.precision !== krData.precision) changes.precision = { from: kr.precision, to: krData.precision };
+                if (kr.step !== krData.step) changes.step = { from: kr.step, to: krData.step };
+                if (kr.startDate !== krData.startDate) changes.startDate = { from: kr.startDate || '', to: krData.startDate || '' };
+                if (kr.targetDate !== krData.targetDate) changes.targetDate = { from: kr.targetDate || '', to: krData.targetDate || '' };
+                if (kr.weight !== krData.weight) changes.weight = { from: kr.weight, to: krData.weight };
+                if (kr.lastCheckin !== krData.lastCheckin) changes.lastCheckin = { from: kr.lastCheckin || '', to: krData.lastCheckin || '' };
+                if (kr.evidence !== krData.evidence) changes.evidence = { from: kr.evidence || '', to: krData.evidence || '' };
+                if (kr.comments !== krData.comments) changes.comments = { from: kr.comments || '', to: krData.comments || '' };
+                if (kr.taskDriven !== krData.taskDriven) changes.taskDriven = { from: kr.taskDriven ? 'On' : 'Off', to: krData.taskDriven ? 'On' : 'Off' };
+                if (kr.rollup !== krData.rollup) changes.rollup = { from: kr.rollup ? 'On' : 'Off', to: krData.rollup ? 'On' : 'Off' };
+                if (kr.owner !== krData.owner) changes.owner = { from: getPersonName(kr.owner) || 'Unassigned', to: getPersonName(krData.owner) || 'Unassigned' };
+                if (describeBlockers(kr.blockedBy) !== describeBlockers(krData.blockedBy)) {
+                    changes.blockedBy = { from: describeBlockers(kr.blockedBy), to: describeBlockers(krData.blockedBy) };
+                }
                 
-                kr.title = title;
-                kr.target = parseInt(target);
-                kr.current = Math.min(kr.current, parseInt(target));
-                kr.startDate = startDate;
-                kr.targetDate = targetDate;
-                kr.weight = parseInt(weight);
-                kr.status = status;
-                kr.confidence = confidence;
-                kr.lastCheckin = lastCheckin;
-                kr.evidence = evidence;
-                kr.comments = comments;
+                kr.title = krData.title;
+                kr.type = krData.type;
+                kr.milestones = krData.milestones;
+                kr.baseline = krData.baseline;
+                kr.target = krData.target;
+                kr.direction = krData.direction;
+                kr.unit = krData.unit;
+                kr.precision = krData.precision;
+                kr.step = krData.step;
+                // Keep the current value on the (possibly changed) baseline → target scale;
+                // a key result switched to done/not-done keeps whether it was complete
+                kr.current = changes.type && kr.type === 'binary' ? (wasComplete ? 1 : 0) : clampKRValue(kr, roundKRValue(kr, kr.current));
+                kr.startDate = krData.startDate;
+                kr.targetDate = krData.targetDate;
+                kr.weight = krData.weight;
+                kr.status = krData.status;
+                kr.confidence = krData.confidence;
+                kr.lastCheckin = krData.lastCheckin;
+                kr.evidence = krData.evidence;
+                kr.comments = krData.comments;
+                kr.owner = krData.owner;
+                kr.rollup = krData.rollup;
+                kr.taskDriven = krData.taskDriven;
+                kr.blockedBy = krData.blockedBy;
+                applyTaskProgressWithHistory(objective, kr);
                 
                 // Track changes in history (record if any field changed)
                 if (Object.keys(changes).length > 0) {
-                    addHistoryEntry('updated', 'keyresult', editId, title, changes, objective.group);
+                    addHistoryEntry('updated', 'keyresult', editId, krData.title, changes, objective.group);
                 }
                 
                 // If weight changed, balance other KRs
-                if (oldWeight !== parseInt(weight)) {
-                    balanceOtherKRs(objectiveId, editId, parseInt(weight));
+                if (oldWeight !== krData.weight) {
+                    balanceOtherKRs(objectiveId, editId, krData.weight);
                 }
             }
         } else {
@@ -1038,26 +3024,43 @@ async function saveKeyResult(objectiveId, title, target, startDate, targetDate,
             const newKrId = generateId();
             objective.keyResults.push({
                 id: newKrId,
-                title: title,
-                target: parseInt(target),
-                current: 0,
-                startDate: startDate,
-                targetDate: targetDate,
+                title: krData.title,
+                type: krData.type,
+                milestones: krData.milestones,
+                baseline: krData.baseline,
+                target: krData.target,
+                current: krData.baseline,
+                direction: krData.direction,
+                unit: krData.unit,
+                precision: krData.precision,
+                step: krData.step,
+                startDate: krData.startDate,
+                targetDate: krData.targetDate,
                 weight: 0, // Will be balanced
-                status: status,
-                confidence: confidence,
-                lastCheckin: lastCheckin,
-                evidence: evidence,
-                comments: comments,
+                status: krData.status,
+                confidence: krData.confidence,
+                lastCheckin: krData.lastCheckin,
+                evidence: krData.evidence,
+                comments: krData.comments,
+                owner: krData.owner,
+                rollup: krData.rollup,
+                taskDriven: krData.taskDriven,
+                blockedBy: krData.blockedBy,
+                evidenceItems: [],
+                tasks: [],
+                checkins: [],
+                carriedOverFrom: null,
+                score: null,
                 createdAt: today
             });
             // Auto-balance all KR weights for this objective
             autoBalanceKRWeights(objectiveId);
             // Track creation in history
-            addHistoryEntry('created', 'keyresult', newKrId, title, { created: true }, objective.group);
+            const created = krData.owner ? { created: true, owner: getPersonName(krData.owner) } : { created: true };
+            addHistoryEntry('created', 'keyresult', newKrId, krData.title, created, objective.group);
         }
         recordProgressSnapshot(); // Record snapshot before saving
-        await saveToFile(); // Save including the snapshot
+        scheduleSave(); // Save including the snapshot
         renderObjectives();
         // Explicitly update charts to ensure they reflect the new KR
         updateDashboardCharts();
@@ -1071,23 +3074,25 @@ async function updateKR(objectiveId, krId, delta) {
         const kr = objective.keyResults.find(k => k.id === krId);
         if (kr) {
             const oldCurrent = kr.current;
-            const oldProgress = Math.min(100, Math.round((oldCurrent / kr.target) * 100));
-            kr.current = Math.max(0, Math.min(kr.target, kr.current + delta));
-            const newProgress = Math.min(100, Math.round((kr.current / kr.target) * 100));
+            const newCurrent = clampKRValue(kr, roundKRValue(kr, kr.current + delta));
+            if (newCurrent !== oldCurrent) {
+                recordUndo('Update progress');
+            }
+            kr.current = newCurrent;
             
             // Track progress change in history
             if (oldCurrent !== kr.current) {
                 addHistoryEntry('progress', 'keyresult', krId, kr.title, {
                     progress: {
-                        from: `${oldCurrent}/${kr.target} (${oldProgress}%)`,
-                        to: `${kr.current}/${kr.target} (${newProgress}%)`,
+                        from: formatKRProgressChange(kr, oldCurrent),
+                        to: formatKRProgressChange(kr, kr.current),
                         delta: delta
                     }
                 }, objective.group);
             }
             
             recordProgressSnapshot(); // Record snapshot before saving
-            await saveToFile(); // Save including the snapshot
+            scheduleSave(); // Save including the snapshot
             renderObjectives();
         }
     }
@@ -1107,118 +3112,1390 @@ function updateSliderFill(slider) {
     }
 }
 
-// Set key result progress to absolute value (for slider)
-async function setKRProgress(objectiveId, krId, newValue) {
-    const objective = data.objectives.find(obj => obj.id === objectiveId);
-    if (objective) {
-        const kr = objective.keyResults.find(k => k.id === krId);
-        if (kr) {
-            const oldCurrent = kr.current;
-            const oldProgress = Math.min(100, Math.round((oldCurrent / kr.target) * 100));
-            kr.current = Math.max(0, Math.min(kr.target, Math.round(newValue)));
-            const newProgress = Math.min(100, Math.round((kr.current / kr.target) * 100));
-            
-            // Track progress change in history
-            if (oldCurrent !== kr.current) {
-                const delta = kr.current - oldCurrent;
-                addHistoryEntry('progress', 'keyresult', krId, kr.title, {
-                    progress: {
-                        from: `${oldCurrent}/${kr.target} (${oldProgress}%)`,
-                        to: `${kr.current}/${kr.target} (${newProgress}%)`,
-                        delta: delta
-                    }
-                }, objective.group);
-            }
-            
-            recordProgressSnapshot(); // Record snapshot before saving
-            await saveToFile(); // Save including the snapshot
-            renderObjectives();
-        }
+// Tick or untick a milestone of a milestone key result
+async function toggleMilestone(objectiveId, krId, milestoneId) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    const kr = objective && objective.keyResults.find(k => k.id === krId);
+    const milestone = kr && kr.milestones.find(m => m.id === milestoneId);
+    if (!milestone) return;
+    recordUndo(milestone.done ? 'Untick milestone' : 'Tick milestone');
+    const from = formatKRProgressChange(kr);
+    milestone.done = !milestone.done;
+    addHistoryEntry('progress', 'keyresult', krId, kr.title, {
+        milestone: { title: milestone.title, done: milestone.done },
+        progress: { from, to: formatKRProgressChange(kr) }
+    }, objective.group);
+    recordProgressSnapshot(); // Record snapshot before saving
+    scheduleSave(); // Save including the snapshot
+    renderObjectives();
+}
+
+// Set key result progress to absolute value (for slider)
+async function setKRProgress(objectiveId, krId, newValue) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    if (objective) {
+        const kr = objective.keyResults.find(k => k.id === krId);
+        if (kr) {
+            const oldCurrent = kr.current;
+            const newCurrent = clampKRValue(kr, roundKRValue(kr, newValue));
+            if (newCurrent !== oldCurrent) {
+                recordUndo('Set progress');
+            }
+            kr.current = newCurrent;
+            
+            // Track progress change in history
+            if (oldCurrent !== kr.current) {
+                const delta = roundKRValue(kr, kr.current - oldCurrent);
+                addHistoryEntry('progress', 'keyresult', krId, kr.title, {
+                    progress: {
+                        from: formatKRProgressChange(kr, oldCurrent),
+                        to: formatKRProgressChange(kr, kr.current),
+                        delta: delta
+                    }
+                }, objective.group);
+            }
+            
+            recordProgressSnapshot(); // Record snapshot before saving
+            scheduleSave(); // Save including the snapshot
+            renderObjectives();
+        }
+    }
+}
+
+// Quick check-in: update last check-in date to today
+// Helper function to get local date in YYYY-MM-DD format
+function getLocalDateString() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+async function quickCheckin(objectiveId, krId, buttonElement = null) {
+    try {
+        const objective = data.objectives.find(obj => obj.id === objectiveId);
+        if (!objective) {
+            console.error('Objective not found:', objectiveId);
+            return;
+        }
+        
+        const kr = objective.keyResults.find(k => k.id === krId);
+        if (!kr) {
+            console.error('Key Result not found:', krId);
+            return;
+        }
+        
+        const today = getLocalDateString(); // Use local date, not UTC
+        const oldCheckin = kr.lastCheckin || '';
+        
+        // Find button if not provided
+        const button = buttonElement || document.querySelector(`button[onclick*="quickCheckin('${objectiveId}', '${krId}')"]`);
+        
+        if (oldCheckin === today) {
+            // Already checked in today - provide visual feedback
+            if (button) {
+                button.style.opacity = '0.5';
+                setTimeout(() => {
+                    button.style.opacity = '1';
+                }, 500);
+            }
+            return; // Already checked in today
+        }
+        
+        recordUndo('Check-in');
+        kr.lastCheckin = today;
+        kr.checkins.push(createCheckin(kr, { date: today }));
+        
+        // Track check-in change in history
+        addHistoryEntry('updated', 'keyresult', krId, kr.title, {
+            lastCheckin: {
+                from: oldCheckin || 'Never',
+                to: today
+            }
+        }, objective.group);
+        
+        recordProgressSnapshot(); // Record snapshot before saving
+        scheduleSave(); // Save including the snapshot
+        renderObjectives();
+        
+        // Visual feedback for successful check-in
+        if (button) {
+            button.style.transform = 'scale(1.2)';
+            setTimeout(() => {
+                button.style.transform = 'scale(1)';
+            }, 200);
+        }
+    } catch (error) {
+        console.error('Error in quickCheckin:', error);
+    }
+}
+
+// "Write spec (done)", "Write spec (owner: Ana)" - how a task appears in history entries
+function describeTask(task, field = null) {
+    if (field === 'done') return `${task.title} (${task.done ? 'done' : 'open'})`;
+    if (field === 'owner') return `${task.title} (owner: ${getPersonName(task.owner) || 'Unassigned'})`;
+    if (field === 'dueDate') return `${task.title} (due: ${task.dueDate || 'none'})`;
+    return task.title;
+}
+
+// Recompute a task-driven key result and log the progress change like the +/- buttons do
+function applyTaskProgressWithHistory(objective, kr) {
+    const oldCurrent = kr.current;
+    applyTaskProgress(kr);
+    if (kr.current !== oldCurrent) {
+        addHistoryEntry('progress', 'keyresult', kr.id, kr.title, {
+            progress: {
+                from: formatKRProgressChange(kr, oldCurrent),
+                to: formatKRProgressChange(kr, kr.current),
+                delta: roundKRValue(kr, kr.current - oldCurrent)
+            }
+        }, objective.group);
+    }
+}
+
+async function addTask(objectiveId, krId, input) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    const kr = objective && objective.keyResults.find(k => k.id === krId);
+    const title = input.value.trim();
+    if (!kr || !title) return;
+    recordUndo('Add task');
+    // New tasks default to the key result's owner
+    const task = { id: generateId(), title, owner: kr.owner, dueDate: '', done: false };
+    kr.tasks.push(task);
+    addHistoryEntry('updated', 'keyresult', krId, kr.title, { task: { from: '', to: describeTask(task) } }, objective.group);
+    applyTaskProgressWithHistory(objective, kr);
+    recordProgressSnapshot(); // Record snapshot before saving
+    scheduleSave(); // Save including the snapshot
+    renderObjectives();
+    // Keep typing tasks without clicking back into the field
+    const next = document.querySelector(`.kr-item[data-kr-id="${krId}"] .kr-task-new`);
+    if (next) next.focus();
+}
+
+async function updateTask(objectiveId, krId, taskId, field, value) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    const kr = objective && objective.keyResults.find(k => k.id === krId);
+    const task = kr && kr.tasks.find(t => t.id === taskId);
+    if (!task) return;
+    if (field === 'title') {
+        value = value.trim();
+        if (!value) {
+            renderObjectives(); // Put the old title back
+            return;
+        }
+    }
+    if (task[field] === value) return;
+    recordUndo(field === 'done' ? (value ? 'Complete task' : 'Reopen task') : 'Edit task');
+    const from = describeTask(task, field);
+    task[field] = value;
+    addHistoryEntry('updated', 'keyresult', krId, kr.title, { task: { from, to: describeTask(task, field) } }, objective.group);
+    if (field === 'done') {
+        applyTaskProgressWithHistory(objective, kr);
+    }
+    recordProgressSnapshot(); // Record snapshot before saving
+    scheduleSave(); // Save including the snapshot
+    renderObjectives();
+}
+
+async function removeTask(objectiveId, krId, taskId) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    const kr = objective && objective.keyResults.find(k => k.id === krId);
+    const task = kr && kr.tasks.find(t => t.id === taskId);
+    if (!task) return;
+    recordUndo('Remove task');
+    kr.tasks = kr.tasks.filter(t => t.id !== taskId);
+    addHistoryEntry('updated', 'keyresult', krId, kr.title, { task: { from: describeTask(task), to: '' } }, objective.group);
+    applyTaskProgressWithHistory(objective, kr);
+    recordProgressSnapshot(); // Record snapshot before saving
+    scheduleSave(); // Save including the snapshot
+    renderObjectives();
+    showToast(`Removed task "${task.title}"`, true);
+}
+
+// A check-in record; fields not given are taken from the key result as it is now
+function createCheckin(kr, fields = {}) {
+    const checkin = {
+        id: generateId(),
+        date: getLocalDateString(),
+        value: kr.current,
+        status: kr.status,
+        confidence: kr.confidence,
+        note: '',
+        blockers: '',
+        ...fields
+    };
+    // Milestone progress lives in the checklist, so keep the count at the time of the check-in
+    if (kr.type === 'milestone') {
+        checkin.milestonesDone = kr.milestones.filter(m => m.done).length;
+        checkin.milestoneCount = kr.milestones.length;
+    }
+    return checkin;
+}
+
+// Progress recorded with a check-in. Milestone check-ins from before the count was stored show none.
+function formatCheckinProgress(kr, checkin) {
+    if (kr.type !== 'milestone') {
+        return formatKRProgressValue(kr, checkin.value);
+    }
+    if (typeof checkin.milestonesDone !== 'number') return '';
+    return `${checkin.milestonesDone} / ${checkin.milestoneCount} milestone${checkin.milestoneCount !== 1 ? 's' : ''}`;
+}
+
+function openCheckinModal(objectiveId, krId) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    const kr = objective && objective.keyResults.find(k => k.id === krId);
+    if (!kr) return;
+    document.getElementById('checkin-objective-id').value = objectiveId;
+    document.getElementById('checkin-kr-id').value = krId;
+    document.getElementById('checkin-kr-title').textContent = kr.title;
+    document.getElementById('checkin-date').value = getLocalDateString();
+    // Only numeric key results take a value here; the others are updated on the card
+    const valueField = document.getElementById('checkin-value-field');
+    valueField.style.display = kr.type === 'numeric' && !kr.rollup ? '' : 'none';
+    const valueInput = document.getElementById('checkin-value');
+    valueInput.value = kr.current;
+    valueInput.step = Math.pow(10, -kr.precision);
+    document.getElementById('checkin-value-range').textContent = `${formatKRValue(kr, kr.baseline)} → ${formatKRValue(kr, kr.target)}`;
+    document.getElementById('checkin-status').value = kr.status;
+    document.getElementById('checkin-confidence').value = kr.confidence;
+    document.getElementById('checkin-note').value = '';
+    document.getElementById('checkin-blockers').value = '';
+    document.getElementById('checkin-modal').classList.add('active');
+    document.getElementById('checkin-note').focus();
+}
+
+// Record a check-in from the dialog: updates value, status and confidence and stores the record
+async function saveCheckin(objectiveId, krId, fields) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    const kr = objective && objective.keyResults.find(k => k.id === krId);
+    if (!kr) return;
+    recordUndo('Check-in');
+    
+    const oldCurrent = kr.current;
+    if (fields.value !== undefined) {
+        kr.current = clampKRValue(kr, roundKRValue(kr, fields.value));
+    }
+    if (oldCurrent !== kr.current) {
+        addHistoryEntry('progress', 'keyresult', krId, kr.title, {
+            progress: {
+                from: formatKRProgressChange(kr, oldCurrent),
+                to: formatKRProgressChange(kr, kr.current),
+                delta: roundKRValue(kr, kr.current - oldCurrent)
+            }
+        }, objective.group);
+    }
+    
+    const changes = {};
+    if (kr.status !== fields.status) changes.status = { from: kr.status, to: fields.status };
+    if (kr.confidence !== fields.confidence) changes.confidence = { from: kr.confidence, to: fields.confidence };
+    // lastCheckin follows the most recent check-in, also when one is back-dated
+    const lastCheckin = !kr.lastCheckin || fields.date > kr.lastCheckin ? fields.date : kr.lastCheckin;
+    if (kr.lastCheckin !== lastCheckin) changes.lastCheckin = { from: kr.lastCheckin || 'Never', to: lastCheckin };
+    if (fields.note) changes.note = { from: '', to: fields.note };
+    if (fields.blockers) changes.blockers = { from: '', to: fields.blockers };
+    kr.status = fields.status;
+    kr.confidence = fields.confidence;
+    kr.lastCheckin = lastCheckin;
+    
+    kr.checkins.push(createCheckin(kr, {
+        date: fields.date,
+        note: fields.note,
+        blockers: fields.blockers
+    }));
+    kr.checkins.sort((a, b) => a.date.localeCompare(b.date));
+    addHistoryEntry('updated', 'keyresult', krId, kr.title, { checkin: { from: '', to: fields.date }, ...changes }, objective.group);
+    
+    recordProgressSnapshot(); // Record snapshot before saving
+    scheduleSave(); // Save including the snapshot
+    renderObjectives();
+}
+
+// Delete key result
+async function deleteKR(objectiveId, krId) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    if (objective) {
+        const kr = objective.keyResults.find(k => k.id === krId);
+        recordUndo('Delete key result');
+        if (kr) {
+            addHistoryEntry('deleted', 'keyresult', krId, kr.title, { deleted: true }, objective.group);
+        }
+        objective.keyResults = objective.keyResults.filter(k => k.id !== krId);
+        removeBlockerLinks(link => link.krId === krId);
+        // Objectives aligned to the key result stay aligned to its objective
+        getAlignedChildren(objectiveId, krId).forEach(child => {
+            child.parent = { objectiveId, krId: null };
+        });
+        recordProgressSnapshot(); // Record snapshot before saving
+        scheduleSave(); // Save including the snapshot
+        // Update charts immediately to reflect deletion
+        updateDashboardCharts();
+        renderObjectives();
+        showToast('Key result deleted', true);
+    }
+}
+
+// Evidence items: { id, type: 'link', title, url } or { id, type: 'file', title, name, mimeType, size }.
+// Files are copied to attachments/<id>.<ext> next to the data file, so the JSON only holds the id.
+let attachmentsDirHandle = null;
+const attachmentUrls = new Map(); // attachment id → object URL of the loaded image, for thumbnails
+// Types opened in a tab. Anything else (HTML, SVG, …) could run script with the app's origin, so it's downloaded.
+const ATTACHMENT_VIEW_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp', 'application/pdf'];
+
+function getAttachmentFileName(item) {
+    const extension = (item.name.match(/\.[a-z0-9]+$/i) || [''])[0].toLowerCase();
+    return item.id + extension;
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function describeEvidenceItem(item) {
+    return item.type === 'link' ? `🔗 ${item.title} (${item.url})` : `📎 ${item.title}`;
+}
+
+// The attachments/ folder next to the data file. The browser only hands out the file itself,
+// so the user picks the folder that contains it once; the handle is remembered in IndexedDB.
+// Without requestAccess it never prompts (used for thumbnails while rendering).
+async function getAttachmentsFolder(requestAccess = false) {
+    if (storageMode !== 'file' || !fileHandle) return null;
+    if (!attachmentsDirHandle) {
+        attachmentsDirHandle = (await idbGet('fileHandles', ATTACHMENTS_DIR_KEY)) || null;
+    }
+    const options = { mode: 'readwrite' };
+    const containsDataFile = async dir => {
+        try {
+            return await (await dir.getFileHandle(fileHandle.name)).isSameEntry(fileHandle);
+        } catch (e) {
+            return false;
+        }
+    };
+    let dir = attachmentsDirHandle;
+    if (dir && await dir.queryPermission(options) !== 'granted' &&
+        !(requestAccess && await dir.requestPermission(options) === 'granted')) {
+        return null;
+    }
+    if (!dir || !(await containsDataFile(dir))) {
+        if (!requestAccess) return null;
+        alert(`Attachments are stored in an "${ATTACHMENTS_FOLDER}" folder next to ${fileHandle.name}. Please pick the folder that contains ${fileHandle.name}.`);
+        try {
+            dir = await window.showDirectoryPicker({ mode: 'readwrite', startIn: fileHandle });
+        } catch (e) {
+            if (e.name !== 'AbortError') console.error('Failed to choose attachments folder:', e);
+            return null;
+        }
+        if (!(await containsDataFile(dir))) {
+            alert(`${dir.name} doesn't contain ${fileHandle.name}.`);
+            return null;
+        }
+        attachmentsDirHandle = dir;
+        await idbPut('fileHandles', dir, ATTACHMENTS_DIR_KEY);
+    }
+    return dir.getDirectoryHandle(ATTACHMENTS_FOLDER, { create: true });
+}
+
+async function addEvidenceItem(objectiveId, krId, item) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    const kr = objective && objective.keyResults.find(k => k.id === krId);
+    if (!kr) return;
+    recordUndo('Add evidence');
+    kr.evidenceItems.push(item);
+    addHistoryEntry('updated', 'keyresult', krId, kr.title, { evidenceItem: { from: '', to: describeEvidenceItem(item) } }, objective.group);
+    scheduleSave();
+    renderObjectives();
+}
+
+async function addEvidenceLink(objectiveId, krId) {
+    const input = prompt('Link URL (for example a dashboard):', 'https://');
+    if (input === null) return;
+    let url;
+    try {
+        url = new URL(input.trim());
+    } catch (e) {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        alert('Please enter a full http:// or https:// address.');
+        return;
+    }
+    const title = prompt('Link title:', url.hostname);
+    if (title === null) return;
+    await addEvidenceItem(objectiveId, krId, {
+        id: generateId(), type: 'link', title: title.trim() || url.hostname, url: url.href, addedAt: getLocalDateString()
+    });
+}
+
+// Copy the picked files into attachments/ and add them as evidence
+async function attachEvidenceFiles(objectiveId, krId) {
+    if (storageMode !== 'file' || !fileHandle) {
+        alert('Attachments are stored next to the data file. Open a data file from disk to attach files; links work everywhere.');
+        return;
+    }
+    const folder = await getAttachmentsFolder(true);
+    if (!folder) return;
+    let handles;
+    try {
+        handles = await window.showOpenFilePicker({ multiple: true });
+    } catch (e) {
+        if (e.name !== 'AbortError') console.error('Failed to pick files:', e);
+        return;
+    }
+    for (const handle of handles) {
+        const file = await handle.getFile();
+        const item = {
+            id: generateId(), type: 'file', title: file.name, name: file.name,
+            mimeType: file.type || 'application/octet-stream', size: file.size, addedAt: getLocalDateString()
+        };
+        try {
+            const writable = await (await folder.getFileHandle(getAttachmentFileName(item), { create: true })).createWritable();
+            await writable.write(file);
+            await writable.close();
+        } catch (e) {
+            console.error('Failed to copy attachment:', e);
+            alert(`Could not copy ${file.name} into the ${ATTACHMENTS_FOLDER} folder:\n${e.message}`);
+            return;
+        }
+        await addEvidenceItem(objectiveId, krId, item);
+    }
+}
+
+// The attachment file stays in attachments/ so that removing it can be undone
+async function removeEvidenceItem(objectiveId, krId, itemId) {
+    const objective = data.objectives.find(obj => obj.id === objectiveId);
+    const kr = objective && objective.keyResults.find(k => k.id === krId);
+    const item = kr && kr.evidenceItems.find(i => i.id === itemId);
+    if (!item || !confirm(`Remove "${item.title}" from the evidence?`)) return;
+    recordUndo('Remove evidence');
+    kr.evidenceItems = kr.evidenceItems.filter(i => i.id !== itemId);
+    addHistoryEntry('updated', 'keyresult', krId, kr.title, { evidenceItem: { from: describeEvidenceItem(item), to: '' } }, objective.group);
+    scheduleSave();
+    renderObjectives();
+}
+
+// Read an attachment from the attachments folder; null when the file is missing
+async function readAttachment(folder, item) {
+    try {
+        return await (await folder.getFileHandle(getAttachmentFileName(item))).getFile();
+    } catch (e) {
+        return null;
+    }
+}
+
+function findEvidenceItem(itemId) {
+    for (const obj of data.objectives) {
+        for (const kr of obj.keyResults) {
+            const item = kr.evidenceItems.find(i => i.id === itemId);
+            if (item) return item;
+        }
+    }
+    return null;
+}
+
+// Images and PDFs open in a new tab, other files are downloaded under their original name
+async function openAttachment(itemId) {
+    const item = findEvidenceItem(itemId);
+    if (!item) return;
+    if (storageMode !== 'file') {
+        alert('Attachments are stored next to the data file. Open the data file from disk to view them.');
+        return;
+    }
+    const folder = await getAttachmentsFolder(true);
+    if (!folder) return;
+    const file = await readAttachment(folder, item);
+    if (!file) {
+        alert(`${ATTACHMENTS_FOLDER}/${getAttachmentFileName(item)} was not found next to the data file.`);
+        return;
+    }
+    const url = URL.createObjectURL(file);
+    if (ATTACHMENT_VIEW_TYPES.includes(file.type)) {
+        window.open(url, '_blank', 'noopener');
+    } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = item.name;
+        link.click();
+    }
+    // Give the new tab or the download time to read the file
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    // Access to the folder may just have been granted
+    loadAttachmentThumbnails().catch(e => console.error('Failed to load attachment thumbnails:', e));
+}
+
+// Free the thumbnails of attachments that are no longer shown (all of them when closing the file)
+function revokeAttachmentUrls(keepIds = new Set()) {
+    attachmentUrls.forEach((url, id) => {
+        if (!keepIds.has(id)) {
+            URL.revokeObjectURL(url);
+            attachmentUrls.delete(id);
+        }
+    });
+}
+
+// Fill in image thumbnails once access to the attachments folder has been granted
+async function loadAttachmentThumbnails() {
+    const images = document.querySelectorAll('img.kr-evidence-thumb[data-attachment]');
+    revokeAttachmentUrls(new Set([...images].map(img => img.dataset.attachment)));
+    if (images.length === 0) return;
+    const folder = await getAttachmentsFolder();
+    for (const img of images) {
+        const id = img.dataset.attachment;
+        if (!attachmentUrls.has(id)) {
+            const item = findEvidenceItem(id);
+            const file = folder && item && await readAttachment(folder, item);
+            if (!file) continue;
+            attachmentUrls.set(id, URL.createObjectURL(file));
+        }
+        img.src = attachmentUrls.get(id);
+        img.hidden = false;
+    }
+}
+
+// Open the alignment tree: top-level objectives with the objectives that support them below
+function openAlignmentModal() {
+    const container = document.getElementById('alignment-tree');
+    const roots = data.objectives.filter(obj => !obj.parent || !data.objectives.some(o => o.id === obj.parent.objectiveId));
+    const seen = new Set();
+    const nodes = roots.map(obj => renderAlignmentNode(obj, seen));
+    // Objectives in a parent cycle from merged edits have no root; list them at the top level
+    data.objectives.forEach(obj => {
+        if (!seen.has(obj.id)) nodes.push(renderAlignmentNode(obj, seen));
+    });
+    container.innerHTML = nodes.length === 0 ? `
+        <div class="empty-state">
+            <span>🌳</span>
+            <p>No objectives yet.</p>
+        </div>
+    ` : `<ul class="alignment-tree">${nodes.join('')}</ul>`;
+    document.getElementById('alignment-modal').classList.add('active');
+}
+
+// One objective in the alignment tree, with the objectives aligned to it and to each of its key results
+function renderAlignmentNode(obj, seen) {
+    const progress = calculateProgress(obj);
+    // Guard against cycles from merged edits: expand each objective only once
+    const expand = !seen.has(obj.id);
+    seen.add(obj.id);
+    const children = expand ? getAlignedChildren(obj.id) : [];
+    const krNodes = obj.keyResults.map(kr => {
+        const krChildren = expand ? getAlignedChildren(obj.id, kr.id) : [];
+        if (krChildren.length === 0) return '';
+        return `
+            <li class="alignment-kr">
+                <div class="alignment-node">
+                    <span class="alignment-kr-label">KR</span>
+                    <span class="alignment-title">${escapeHtml(kr.title)}</span>
+                    ${kr.rollup ? '<span class="kr-meta-item kr-rollup-badge">↻ Rolled up</span>' : ''}
+                    <span class="alignment-progress">${getKRProgress(kr)}%</span>
+                </div>
+                <ul>${krChildren.map(child => renderAlignmentNode(child, seen)).join('')}</ul>
+            </li>
+        `;
+    }).join('');
+    return `
+        <li>
+            <div class="alignment-node">
+                <span class="obj-badge" style="${getGroupBadgeStyle(obj.group)}">${escapeHtml(obj.group)}</span>
+                ${renderOwnerAvatar(obj.owner)}
+                <span class="alignment-title">${escapeHtml(obj.title)}</span>
+                <span class="alignment-progress" style="color: ${getProgressColor(progress)}">${progress}%</span>
+            </div>
+            ${krNodes || children.length > 0 ? `<ul>${krNodes}${children.map(child => renderAlignmentNode(child, seen)).join('')}</ul>` : ''}
+        </li>
+    `;
+}
+
+// Dependency view: every chain of key results that is still blocked, ending at the one waiting longest
+function openDependenciesModal() {
+    const container = document.getElementById('dependency-chains');
+    const blocked = [];
+    data.objectives.forEach(obj => obj.keyResults.forEach(kr => {
+        if (getOpenBlockers(kr).length > 0) blocked.push({ obj, kr });
+    }));
+    // A chain starts at a blocked key result that nothing else is blocked by
+    const roots = blocked.filter(item => !blocked.some(other => getOpenBlockers(other.kr).some(blocker => blocker.kr.id === item.kr.id)));
+    // Cycles from merged edits leave no root; fall back to listing every blocked key result
+    const chains = roots.length > 0 ? roots : blocked;
+    container.innerHTML = chains.length === 0 ? `
+        <div class="empty-state">
+            <span>⛓️</span>
+            <p>No blocked key results. Add "Blocked by" links in a key result's form.</p>
+        </div>
+    ` : `<ul class="alignment-tree">${chains.map(item => renderDependencyNode(item.obj, item.kr, new Set())).join('')}</ul>`;
+    // Distinct upstream key results past their target date; a shared blocker appears in several chains
+    const overdueIds = new Set();
+    blocked.forEach(item => getOpenBlockers(item.kr).forEach(blocker => {
+        if (getDateWarningClass(blocker.kr.targetDate) === ' date-warning-red') overdueIds.add(blocker.kr.id);
+    }));
+    const overdue = overdueIds.size;
+    document.getElementById('dependency-summary').textContent =
+        `${blocked.length} blocked key result${blocked.length !== 1 ? 's' : ''}` +
+        (overdue > 0 ? `, ${overdue} overdue upstream item${overdue !== 1 ? 's' : ''}.` : '.');
+    document.getElementById('dependencies-modal').classList.add('active');
+}
+
+// One key result with the key results it waits for below it
+function renderDependencyNode(obj, kr, seen) {
+    const complete = isKRComplete(kr);
+    const warning = complete ? '' : getDateWarningClass(kr.targetDate);
+    const overdue = warning === ' date-warning-red';
+    const blockers = seen.has(kr.id) || complete ? [] : getBlockers(kr);
+    seen.add(kr.id);
+    return `
+        <li>
+            <div class="alignment-node${overdue ? ' dependency-overdue' : ''}">
+                <span class="obj-badge" style="${getGroupBadgeStyle(obj.group)}">${escapeHtml(obj.group)}</span>
+                ${renderOwnerAvatar(kr.owner)}
+                <span class="alignment-title">${escapeHtml(kr.title)} <span class="group-count">${escapeHtml(obj.title)}</span></span>
+                ${getOpenBlockers(kr).length > 0 ? '<span class="kr-meta-item kr-blocked-badge">⛔ Blocked</span>' : ''}
+                ${complete ? '<span class="kr-meta-item">✓ Done</span>' : ''}
+                ${kr.targetDate ? `<span class="kr-meta-item${warning}">${overdue ? '⚠ Overdue: ' : 'Target: '}${kr.targetDate}</span>` : ''}
+                <span class="alignment-progress" style="color: ${getProgressColor(getKRProgress(kr))}">${getKRProgress(kr)}%</span>
+            </div>
+            ${blockers.length > 0 ? `<ul>${blockers.map(blocker => renderDependencyNode(blocker.obj, blocker.kr, seen)).join('')}</ul>` : ''}
+        </li>
+    `;
+}
+
+// Quarter close-out: archive a period's objectives and carry unfinished work into the next quarter
+
+// "2026-3" style key for sorting and the period picker
+function getPeriodKey(year, quarter) {
+    return `${year}-${quarter}`;
+}
+
+function getNextPeriod(year, quarter) {
+    const q = parseInt(quarter);
+    return q >= 4 ? { year: year + 1, quarter: '1' } : { year, quarter: String(q + 1) };
+}
+
+// Move a YYYY-MM-DD date by whole months, keeping the day where the month allows it
+function shiftDateByMonths(date, months) {
+    if (!date) return date;
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(year, month - 1 + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(day, lastDay));
+    return `${target.getFullYear()}-${String(target.getMonth() + 1).padStart(2, '0')}-${String(target.getDate()).padStart(2, '0')}`;
+}
+
+function openCloseQuarterModal() {
+    const select = document.getElementById('close-quarter-period');
+    const periods = [...new Set(data.objectives.map(obj => getPeriodKey(obj.year, obj.quarter)))]
+        .sort((a, b) => {
+            const [yearA, quarterA] = a.split('-').map(Number);
+            const [yearB, quarterB] = b.split('-').map(Number);
+            return yearA - yearB || quarterA - quarterB;
+        });
+    const current = select.value;
+    select.innerHTML = periods.map(key => {
+        const [year, quarter] = key.split('-');
+        return `<option value="${key}">${year} Q${quarter}</option>`;
+    }).join('');
+    // Default to the oldest open period - that's the one to close first
+    select.value = periods.includes(current) ? current : (periods[0] || '');
+    renderCloseQuarter();
+    renderArchivedObjectives();
+    document.getElementById('close-quarter-modal').classList.add('active');
+}
+
+function renderCloseQuarter() {
+    const container = document.getElementById('close-quarter-list');
+    const key = document.getElementById('close-quarter-period').value;
+    const button = document.getElementById('btn-close-quarter-confirm');
+    const objectives = data.objectives.filter(obj => getPeriodKey(obj.year, obj.quarter) === key);
+    if (objectives.length === 0) {
+        container.innerHTML = '<p class="modal-message">No objectives to close.</p>';
+        document.getElementById('close-quarter-summary').textContent = '';
+        button.disabled = true;
+        return;
+    }
+    button.disabled = false;
+    const [year, quarter] = key.split('-');
+    const next = getNextPeriod(parseInt(year), quarter);
+    document.getElementById('close-quarter-summary').textContent =
+        `Archive the ${year} Q${quarter} objectives with their final scores. Unfinished objectives and key results you tick under "Carry over" are copied into ${next.year} Q${next.quarter} with progress reset and dates moved by a quarter.`;
+    container.innerHTML = objectives.map(obj => {
+        const progress = calculateProgress(obj);
+        const openKRs = obj.keyResults.filter(kr => !isKRComplete(kr));
+        // Key results are carried over inside a copy of their objective, so there has to be one to carry
+        const unfinished = progress < 100 && openKRs.length > 0;
+        return `
+            <div class="close-quarter-objective">
+                <div class="close-quarter-row">
+                    <span class="obj-badge" style="${getGroupBadgeStyle(obj.group)}">${escapeHtml(obj.group)}</span>
+                    <span class="close-quarter-title">${escapeHtml(obj.title)}</span>
+                    <span class="close-quarter-score" style="color: ${getProgressColor(progress)}">${progress}%</span>
+                    ${obj.score ? `<span class="obj-badge obj-score-badge ${getScoreClass(obj.score.value)}">Score ${formatScore(obj.score.value)}</span>` : ''}
+                    <label class="checkbox-label"><input type="checkbox" data-archive="${obj.id}" checked> Archive</label>
+                    ${unfinished ? `<label class="checkbox-label"><input type="checkbox" data-carry="${obj.id}" onchange="toggleCarryOver(this)"> Carry over</label>` : ''}
+                </div>
+                ${unfinished ? `
+                    <div class="close-quarter-krs">
+                        ${openKRs.map(kr => `
+                            <label class="checkbox-label">
+                                <input type="checkbox" data-carry-kr="${obj.id}/${kr.id}" checked disabled>
+                                ${escapeHtml(kr.title)} <span class="close-quarter-kr-progress">${getKRProgress(kr)}%</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// Key results can only be picked for objectives that are carried over
+function toggleCarryOver(checkbox) {
+    const objectiveId = checkbox.dataset.carry;
+    document.querySelectorAll(`#close-quarter-list input[data-carry-kr^="${objectiveId}/"]`).forEach(input => {
+        input.disabled = !checkbox.checked;
+    });
+}
+
+// Copy of a key result for the next quarter: progress reset, open tasks only, dates moved by a quarter
+function copyKeyResultForNextQuarter(obj, kr) {
+    return {
+        ...JSON.parse(JSON.stringify(kr)),
+        id: generateId(),
+        current: kr.baseline,
+        status: 'on-track',
+        startDate: shiftDateByMonths(kr.startDate, 3),
+        targetDate: shiftDateByMonths(kr.targetDate, 3),
+        lastCheckin: '',
+        checkins: [],
+        score: null,
+        // Still waits for the same upstream key results, as long as they stay on the dashboard
+        blockedBy: kr.blockedBy.map(link => ({ ...link })),
+        milestones: kr.milestones.map(m => ({ ...m, id: generateId(), done: false })),
+        tasks: kr.tasks.filter(task => !task.done).map(task => ({
+            ...task, id: generateId(), dueDate: shiftDateByMonths(task.dueDate, 3)
+        })),
+        carriedOverFrom: { objectiveId: obj.id, krId: kr.id, title: kr.title, year: obj.year, quarter: obj.quarter },
+        createdAt: getLocalDateString()
+    };
+}
+
+async function closeQuarter() {
+    const key = document.getElementById('close-quarter-period').value;
+    const [year, quarter] = key.split('-');
+    const next = getNextPeriod(parseInt(year), quarter);
+    const list = document.getElementById('close-quarter-list');
+    const archiveIds = new Set([...list.querySelectorAll('input[data-archive]:checked')].map(input => input.dataset.archive));
+    const carryIds = [...list.querySelectorAll('input[data-carry]:checked')].map(input => input.dataset.carry);
+    const carryKRIds = new Set([...list.querySelectorAll('input[data-carry-kr]:checked')].map(input => input.dataset.carryKr));
+    if (archiveIds.size === 0 && carryIds.length === 0) {
+        alert('Tick at least one objective to archive or carry over.');
+        return;
+    }
+    const empty = data.objectives.find(obj => carryIds.includes(obj.id) && !obj.keyResults.some(kr => carryKRIds.has(`${obj.id}/${kr.id}`)));
+    if (empty) {
+        alert(`Tick at least one key result to carry over with "${empty.title}", or untick Carry over.`);
+        return;
+    }
+    if (!confirm(`Close ${year} Q${quarter}: archive ${archiveIds.size} and carry over ${carryIds.length} objective${carryIds.length !== 1 ? 's' : ''} into ${next.year} Q${next.quarter}?`)) {
+        return;
+    }
+    recordUndo('Close quarter');
+    
+    // Copies first, so links can be moved to them before the originals are archived
+    const copyIds = new Map(); // original objective id → copy id
+    const krCopyIds = new Map(); // "objectiveId/krId" → copy key result id
+    carryIds.forEach(id => {
+        const obj = data.objectives.find(o => o.id === id);
+        const keyResults = obj.keyResults
+            .filter(kr => carryKRIds.has(`${obj.id}/${kr.id}`))
+            .map(kr => {
+                const copy = copyKeyResultForNextQuarter(obj, kr);
+                krCopyIds.set(`${obj.id}/${kr.id}`, copy.id);
+                return copy;
+            });
+        const copy = {
+            ...JSON.parse(JSON.stringify(obj)),
+            id: generateId(),
+            year: next.year,
+            quarter: next.quarter,
+            startDate: shiftDateByMonths(obj.startDate, 3),
+            targetDate: shiftDateByMonths(obj.targetDate, 3),
+            lastCheckin: '',
+            score: null,
+            keyResults,
+            carriedOverFrom: { objectiveId: obj.id, title: obj.title, year: obj.year, quarter: obj.quarter },
+            createdAt: getLocalDateString()
+        };
+        copyIds.set(obj.id, copy.id);
+        data.objectives.push(copy);
+        if (keyResults.length !== obj.keyResults.length) {
+            autoBalanceKRWeights(copy.id);
+        }
+        addHistoryEntry('rollover', 'objective', copy.id, copy.title, {
+            period: { from: `${obj.year} Q${obj.quarter}`, to: `${next.year} Q${next.quarter}` },
+            keyResults: { from: '', to: keyResults.map(kr => kr.title).join(', ') || 'none' }
+        }, copy.group);
+    });
+    
+    // Alignment links to carried objectives and key results follow the copies
+    data.objectives.forEach(obj => {
+        if (!obj.parent || !copyIds.has(obj.parent.objectiveId)) return;
+        const krCopy = obj.parent.krId && krCopyIds.get(`${obj.parent.objectiveId}/${obj.parent.krId}`);
+        const isCopy = [...copyIds.values()].includes(obj.id);
+        // Copies follow the copied parent; objectives staying behind only follow when the parent is archived
+        if (isCopy || archiveIds.has(obj.parent.objectiveId)) {
+            obj.parent = { objectiveId: copyIds.get(obj.parent.objectiveId), krId: krCopy || null };
+        }
+    });
+    // "Blocked by" links to carried key results follow the copies under the same rule
+    data.objectives.forEach(obj => {
+        const isCopy = [...copyIds.values()].includes(obj.id);
+        obj.keyResults.forEach(kr => {
+            kr.blockedBy = kr.blockedBy.map(link => {
+                const krCopy = krCopyIds.get(`${link.objectiveId}/${link.krId}`);
+                return krCopy && (isCopy || archiveIds.has(link.objectiveId))
+                    ? { objectiveId: copyIds.get(link.objectiveId), krId: krCopy }
+                    : link;
+            });
+        });
+    });
+    
+    const archivedAt = getLocalDateString();
+    data.objectives.filter(obj => archiveIds.has(obj.id)).forEach(obj => {
+        const finalScore = calculateProgress(obj);
+        data.archive.objectives.push({ ...obj, finalScore, archivedAt });
+        addHistoryEntry('archived', 'objective', obj.id, obj.title, {
+            finalScore: { from: '', to: `${finalScore}%` },
+            ...(copyIds.has(obj.id) ? { carriedOver: { from: '', to: `${next.year} Q${next.quarter}` } } : {})
+        }, obj.group);
+    });
+    // Scopes that lose archived objectives or gain carried-over copies are rebalanced below
+    const copies = new Set(copyIds.values());
+    const touchedScopes = data.objectives.filter(obj => archiveIds.has(obj.id) || copies.has(obj.id))
+        .map(obj => ({ group: obj.group, year: obj.year, quarter: obj.quarter }));
+    data.objectives = data.objectives.filter(obj => !archiveIds.has(obj.id));
+    // Objectives aligned to an archived objective that wasn't carried over lose the link
+    data.objectives.forEach(obj => {
+        if (obj.parent && archiveIds.has(obj.parent.objectiveId)) {
+            obj.parent = null;
+        }
+    });
+    removeBlockerLinks(link => archiveIds.has(link.objectiveId));
+    
+    touchedScopes.forEach(scope => autoBalanceObjectiveWeights(scope));
+    recordProgressSnapshot(); // Record snapshot before saving
+    scheduleSave(); // Save including the snapshot
+    closeModal('close-quarter-modal');
+    renderObjectives();
+    updateDashboardCharts();
+    showToast(`Closed ${year} Q${quarter}`, true);
+}
+
+// End-of-quarter scoring: a frozen 0.0-1.0 score with a short retrospective per objective and key result
+
+const RETRO_FIELDS = [
+    ['selfAssessment', 'Self-assessment'],
+    ['whatWorked', 'What worked'],
+    ['whatDidnt', "What didn't"],
+    ['lessons', 'Lessons learned']
+];
+
+// One decimal like "0.7", two when needed like "0.65"
+function formatScore(value) {
+    return value.toFixed(2).replace(/0$/, '');
+}
+
+// Usual OKR grading: 0.7 and up is green, 0.4-0.69 yellow, below red
+function getScoreClass(value) {
+    if (value >= 0.7) return 'score-green';
+    if (value >= 0.4) return 'score-yellow';
+    return 'score-red';
+}
+
+// Score and retro inputs for one objective or key result; prefix keeps the ids apart
+function renderScoreFields(prefix, item, progress) {
+    const computed = Math.round(progress) / 100;
+    return `
+        <div class="kr-target">
+            <label>Score (0.0-1.0):</label>
+            <input type="number" id="${prefix}-score" min="0" max="1" step="0.01" value="${item.score ? item.score.value : computed}">
+            <span class="group-count">Progress now: ${(progress / 100).toFixed(2)}</span>
+        </div>
+        ${RETRO_FIELDS.map(([field, label]) => `
+            <div class="form-field">
+                <label>${label}</label>
+                <textarea id="${prefix}-${field}" rows="2">${escapeHtml(item.score ? item.score[field] : '')}</textarea>
+            </div>
+        `).join('')}
+    `;
+}
+
+function openScoreModal(objectiveId) {
+    const obj = data.objectives.find(o => o.id === objectiveId);
+    if (!obj) return;
+    document.getElementById('score-objective-id').value = objectiveId;
+    document.getElementById('score-objective-title').textContent = `${obj.title} (${obj.year} Q${obj.quarter})`;
+    document.getElementById('score-fields').innerHTML = `
+        <div class="score-section">
+            <h4>Objective</h4>
+            ${renderScoreFields('score-obj', obj, calculateProgress(obj))}
+        </div>
+        ${obj.keyResults.map((kr, index) => `
+            <div class="score-section">
+                <h4>KR ${index + 1}: ${escapeHtml(kr.title)}</h4>
+                ${renderScoreFields(`score-kr-${index}`, kr, getKRProgress(kr))}
+            </div>
+        `).join('')}
+    `;
+    document.getElementById('btn-clear-score').hidden = !obj.score && !obj.keyResults.some(kr => kr.score);
+    document.getElementById('score-modal').classList.add('active');
+}
+
+// Read one score block from the dialog; null when the score isn't a number from 0 to 1
+function readScoreFields(prefix, progress) {
+    const value = parseFloat(document.getElementById(`${prefix}-score`).value);
+    if (isNaN(value) || value < 0 || value > 1) return null;
+    const score = { value: Math.round(value * 100) / 100, computed: Math.round(progress) / 100, scoredAt: getLocalDateString() };
+    RETRO_FIELDS.forEach(([field]) => {
+        score[field] = document.getElementById(`${prefix}-${field}`).value.trim();
+    });
+    return score;
+}
+
+// History entry for a changed objective or key result score (null clears it); unchanged scores are not logged
+function logScoreChange(entityType, item, score, group) {
+    const from = item.score ? formatScore(item.score.value) : '';
+    const to = score ? formatScore(score.value) : '';
+    if (from !== to) {
+        addHistoryEntry('updated', entityType, item.id, item.title, { score: { from, to } }, group);
+    }
+}
+
+// Freeze the scores: later progress changes don't touch them until the objective is scored again
+async function saveScores() {
+    const obj = data.objectives.find(o => o.id === document.getElementById('score-objective-id').value);
+    if (!obj) return;
+    const objectiveScore = readScoreFields('score-obj', calculateProgress(obj));
+    const krScores = obj.keyResults.map((kr, index) => readScoreFields(`score-kr-${index}`, getKRProgress(kr)));
+    if (!objectiveScore || krScores.includes(null)) {
+        alert('Scores must be numbers from 0.0 to 1.0.');
+        return;
+    }
+    recordUndo('Score objective');
+    logScoreChange('objective', obj, objectiveScore, obj.group);
+    obj.score = objectiveScore;
+    obj.keyResults.forEach((kr, index) => {
+        logScoreChange('keyresult', kr, krScores[index], obj.group);
+        kr.score = krScores[index];
+    });
+    scheduleSave();
+    closeModal('score-modal');
+    renderObjectives();
+}
+
+async function clearScores() {
+    const obj = data.objectives.find(o => o.id === document.getElementById('score-objective-id').value);
+    if (!obj || !confirm('Remove the score and retrospective of this objective and its key results?')) return;
+    recordUndo('Clear score');
+    logScoreChange('objective', obj, null, obj.group);
+    obj.score = null;
+    obj.keyResults.forEach(kr => {
+        logScoreChange('keyresult', kr, null, obj.group);
+        kr.score = null;
+    });
+    scheduleSave();
+    closeModal('score-modal');
+    renderObjectives();
+}
+
+// "Quarter retrospective" section of the text report: scored objectives by period
+function buildRetrospectiveReport(objectives) {
+    const scored = objectives.filter(obj => obj.score)
+        .sort((a, b) => a.year - b.year || parseInt(a.quarter) - parseInt(b.quarter));
+    if (scored.length === 0) return '';
+    const retroLines = (score, indent) => RETRO_FIELDS
+        .filter(([field]) => score[field])
+        .map(([field, label]) => `${indent}${label}:\n${score[field].split('\n').map(line => `${indent}  ${line}`).join('\n')}\n`)
+        .join('');
+    let text = 'QUARTER RETROSPECTIVE\n';
+    text += '═'.repeat(60) + '\n';
+    let period = null;
+    scored.forEach(obj => {
+        if (period !== `${obj.year} Q${obj.quarter}`) {
+            period = `${obj.year} Q${obj.quarter}`;
+            text += `\n${period}\n` + '─'.repeat(40) + '\n';
+        }
+        text += `\n${obj.title}\n`;
+        text += `  Score: ${formatScore(obj.score.value)} (progress ${obj.score.computed.toFixed(2)}, scored ${obj.score.scoredAt})\n`;
+        text += retroLines(obj.score, '  ');
+        obj.keyResults.filter(kr => kr.score).forEach(kr => {
+            text += `  - ${kr.title}: ${formatScore(kr.score.value)} (progress ${kr.score.computed.toFixed(2)})\n`;
+            text += retroLines(kr.score, '      ');
+        });
+    });
+    return text + '\n' + '═'.repeat(60) + '\n';
+}
+
+// Archived objectives by period, newest period first
+function renderArchivedObjectives() {
+    const container = document.getElementById('archived-objectives');
+    const archived = data.archive.objectives;
+    if (archived.length === 0) {
+        container.innerHTML = '<p class="modal-message">No archived objectives yet.</p>';
+        return;
+    }
+    const byPeriod = new Map();
+    archived
+        .slice()
+        .sort((a, b) => b.year - a.year || parseInt(b.quarter) - parseInt(a.quarter))
+        .forEach(obj => {
+            const label = `${obj.year} Q${obj.quarter}`;
+            if (!byPeriod.has(label)) byPeriod.set(label, []);
+            byPeriod.get(label).push(obj);
+        });
+    container.innerHTML = [...byPeriod.entries()].map(([label, objectives]) => `
+        <div class="close-quarter-objective">
+            <strong>${label}</strong>
+            ${objectives.map(obj => `
+                <div class="close-quarter-row">
+                    <span class="obj-badge" style="${getGroupBadgeStyle(obj.group)}">${escapeHtml(obj.group)}</span>
+                    <span class="close-quarter-title">${escapeHtml(obj.title)}</span>
+                    <span class="close-quarter-score" style="color: ${getProgressColor(obj.finalScore)}">${obj.finalScore}%</span>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+// Template library: objectives with their key results, stored in data.templates.
+// Dates are kept as placeholders relative to the quarter ({{quarterStart+14}}, {{quarterEnd}})
+// and targets can be placeholders filled in when the template is used ({{target:100}}).
+
+function getQuarterBounds(year, quarter) {
+    const q = parseInt(quarter);
+    return { start: new Date(year, (q - 1) * 3, 1), end: new Date(year, q * 3, 0) };
+}
+
+function formatLocalDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// A date as a placeholder relative to its objective's quarter
+function toDatePlaceholder(date, year, quarter) {
+    if (!date) return '';
+    const { start, end } = getQuarterBounds(year, quarter);
+    const [y, m, d] = date.split('-').map(Number);
+    const day = new Date(y, m - 1, d);
+    if (day.getTime() === end.getTime()) return '{{quarterEnd}}';
+    const offset = Math.round((day - start) / (1000 * 60 * 60 * 24));
+    return offset === 0 ? '{{quarterStart}}' : `{{quarterStart${offset > 0 ? '+' : ''}${offset}}}`;
+}
+
+function resolveDatePlaceholder(placeholder, year, quarter) {
+    const match = DATE_PLACEHOLDER_PATTERN.exec(placeholder || '');
+    if (!match) return placeholder || '';
+    const bounds = getQuarterBounds(year, quarter);
+    const date = match[1] === 'Start' ? bounds.start : bounds.end;
+    date.setDate(date.getDate() + parseInt(match[2] || '0'));
+    return formatLocalDate(date);
+}
+
+// {{target}} or {{target:100}} → { placeholder: true, value: 100 }; plain numbers are fixed targets
+function parseTargetPlaceholder(target) {
+    const match = /^\{\{target(?::(-?[\d.]+))?\}\}$/.exec(String(target));
+    if (!match) return { placeholder: false, value: Number(target) };
+    return { placeholder: true, value: match[1] !== undefined ? Number(match[1]) : null };
+}
+
+async function saveObjectiveAsTemplate(objectiveId) {
+    const obj = data.objectives.find(o => o.id === objectiveId);
+    if (!obj) return;
+    const name = (prompt('Template name:', obj.title) || '').trim();
+    if (!name) return;
+    const existing = data.templates.find(template => template.name.toLowerCase() === name.toLowerCase());
+    if (existing && !confirm(`Replace the template "${existing.name}"?`)) return;
+    const numericKRs = obj.keyResults.filter(kr => kr.type === 'numeric');
+    const targetsAsPlaceholders = numericKRs.length > 0 &&
+        confirm('Ask for the key result targets each time the template is used?\n\nOK: targets are placeholders (the current targets become the suggested values)\nCancel: keep the current targets');
+    const date = value => toDatePlaceholder(value, obj.year, obj.quarter);
+    const template = {
+        id: existing ? existing.id : generateId(),
+        name,
+        objective: {
+            title: obj.title,
+            purpose: obj.purpose,
+            group: obj.group,
+            startDate: date(obj.startDate),
+            targetDate: date(obj.targetDate)
+        },
+        keyResults: obj.keyResults.map(kr => ({
+            title: kr.title,
+            type: kr.type,
+            baseline: kr.baseline,
+            target: targetsAsPlaceholders && kr.type === 'numeric' ? `{{target:${kr.target}}}` : kr.target,
+            direction: kr.direction,
+            unit: kr.unit,
+            precision: kr.precision,
+            step: kr.step,
+            weight: kr.weight,
+            startDate: date(kr.startDate),
+            targetDate: date(kr.targetDate),
+            milestones: kr.milestones.map(m => ({ title: m.title, weight: m.weight })),
+            tasks: kr.tasks.map(task => ({ title: task.title }))
+        }))
+    };
+    recordUndo('Save template');
+    data.templates = existing
+        ? data.templates.map(t => t.id === existing.id ? template : t)
+        : [...data.templates, template];
+    scheduleSave();
+    showToast(`Saved template "${name}"`);
+}
+
+function openTemplatesModal() {
+    renderGroupOptions();
+    document.getElementById('template-year').value = new Date().getFullYear();
+    document.getElementById('template-quarter').value = String(Math.ceil((new Date().getMonth() + 1) / 3));
+    renderTemplateList();
+    document.getElementById('templates-modal').classList.add('active');
+}
+
+function renderTemplateList() {
+    const select = document.getElementById('template-select');
+    const list = document.getElementById('template-list');
+    const value = select.value;
+    select.innerHTML = data.templates.map(template =>
+        `<option value="${escapeAttr(template.id)}">${escapeHtml(template.name)}</option>`).join('');
+    select.value = data.templates.some(template => template.id === value) ? value : (data.templates[0]?.id || '');
+    document.getElementById('btn-use-template').disabled = data.templates.length === 0;
+    onTemplateSelected();
+    if (data.templates.length === 0) {
+        list.innerHTML = '<p class="modal-message">No templates yet. Use 📋 on an objective to save it as a template, or import a template file.</p>';
+        return;
+    }
+    list.innerHTML = data.templates.map(template => `
+        <div class="group-row">
+            <span class="template-name">${escapeHtml(template.name)}</span>
+            <span class="group-count">${template.keyResults.length} key result${template.keyResults.length !== 1 ? 's' : ''}</span>
+            <button type="button" class="btn-icon btn-delete" onclick="deleteTemplate('${template.id}')" title="Delete template">&#128465;</button>
+        </div>
+    `).join('');
+}
+
+// Preselect the template's own group when it still exists
+function onTemplateSelected() {
+    const template = data.templates.find(t => t.id === document.getElementById('template-select').value);
+    if (template && data.groups.some(group => group.name === template.objective.group)) {
+        document.getElementById('template-group').value = template.objective.group;
     }
 }
 
-// Quick check-in: update last check-in date to today
-// Helper function to get local date in YYYY-MM-DD format
-function getLocalDateString() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+async function deleteTemplate(templateId) {
+    const template = data.templates.find(t => t.id === templateId);
+    if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+    recordUndo('Delete template');
+    data.templates = data.templates.filter(t => t.id !== templateId);
+    scheduleSave();
+    renderTemplateList();
 }
 
-async function quickCheckin(objectiveId, krId, buttonElement = null) {
-    try {
-        const objective = data.objectives.find(obj => obj.id === objectiveId);
-        if (!objective) {
-            console.error('Objective not found:', objectiveId);
-            return;
+// "New from template": create the objective and key results for the chosen quarter
+async function createFromTemplate() {
+    if (!getStorage().isConnected()) {
+        alert('Please open or create a file first');
+        return;
+    }
+    const template = data.templates.find(t => t.id === document.getElementById('template-select').value);
+    if (!template) return;
+    const year = parseInt(document.getElementById('template-year').value);
+    const quarter = document.getElementById('template-quarter').value;
+    const group = document.getElementById('template-group').value;
+    if (!year) {
+        alert('Enter a year.');
+        return;
+    }
+    // Fill in target placeholders first, so cancelling leaves nothing half-created
+    const targets = [];
+    for (const kr of template.keyResults) {
+        const target = parseTargetPlaceholder(kr.target);
+        if (!target.placeholder) {
+            targets.push(target.value);
+            continue;
         }
-        
-        const kr = objective.keyResults.find(k => k.id === krId);
-        if (!kr) {
-            console.error('Key Result not found:', krId);
+        const answer = prompt(`Target for "${kr.title}"${kr.unit ? ` (${kr.unit})` : ''}:`, target.value ?? '');
+        if (answer === null) return;
+        const value = parseFloat(answer);
+        if (isNaN(value) || (kr.direction === 'decrease' ? value >= kr.baseline : value <= kr.baseline)) {
+            alert(`"${answer}" is not a valid target for "${kr.title}" (baseline ${kr.baseline}, ${kr.direction}).`);
             return;
         }
-        
-        const today = getLocalDateString(); // Use local date, not UTC
-        const oldCheckin = kr.lastCheckin || '';
-        
-        // Find button if not provided
-        const button = buttonElement || document.querySelector(`button[onclick*="quickCheckin('${objectiveId}', '${krId}')"]`);
-        
-        if (oldCheckin === today) {
-            // Already checked in today - provide visual feedback
-            if (button) {
-                button.style.opacity = '0.5';
-                setTimeout(() => {
-                    button.style.opacity = '1';
-                }, 500);
+        targets.push(value);
+    }
+    
+    recordUndo('New from template');
+    const today = getLocalDateString();
+    const date = placeholder => resolveDatePlaceholder(placeholder, year, quarter);
+    const objective = {
+        id: generateId(),
+        group,
+        year,
+        quarter,
+        title: template.objective.title,
+        purpose: template.objective.purpose || '',
+        startDate: date(template.objective.startDate),
+        targetDate: date(template.objective.targetDate),
+        weight: 0, // Will be balanced
+        lastCheckin: '',
+        owner: null,
+        parent: null,
+        carriedOverFrom: null,
+        score: null,
+        weightLocked: false,
+        keyResults: template.keyResults.map((kr, index) => ({
+            id: generateId(),
+            title: kr.title,
+            type: kr.type,
+            milestones: kr.milestones.map(m => ({ id: generateId(), title: m.title, weight: m.weight, done: false })),
+            baseline: kr.baseline,
+            target: targets[index],
+            current: kr.baseline,
+            direction: kr.direction,
+            unit: kr.unit,
+            precision: kr.precision,
+            step: kr.step,
+            startDate: date(kr.startDate),
+            targetDate: date(kr.targetDate),
+            weight: kr.weight,
+            status: 'on-track',
+            confidence: 'Medium',
+            lastCheckin: '',
+            evidence: '',
+            comments: '',
+            owner: null,
+            rollup: false,
+            taskDriven: false,
+            tasks: kr.tasks.map(task => ({ id: generateId(), title: task.title, owner: null, dueDate: '', done: false })),
+            checkins: [],
+            blockedBy: [],
+            evidenceItems: [],
+            carriedOverFrom: null,
+            score: null,
+            createdAt: today
+        })),
+        createdAt: today
+    };
+    data.objectives.push(objective);
+    autoBalanceObjectiveWeights(objective);
+    addHistoryEntry('created', 'objective', objective.id, objective.title, { created: true, template: template.name }, group);
+    objective.keyResults.forEach(kr => {
+        addHistoryEntry('created', 'keyresult', kr.id, kr.title, { created: true, template: template.name }, group);
+    });
+    recordProgressSnapshot(); // Record snapshot before saving
+    scheduleSave(); // Save including the snapshot
+    closeModal('templates-modal');
+    updateDashboardCharts();
+    renderObjectives();
+}
+
+function exportTemplates() {
+    if (data.templates.length === 0) {
+        alert('There are no templates to export.');
+        return;
+    }
+    const file = { format: TEMPLATES_FORMAT, version: 1, templates: data.templates };
+    downloadBlob(JSON.stringify(file, null, 2), 'okr-templates.json', 'application/json');
+}
+
+// Check an imported template and fill in defaults for anything left out
+function normalizeTemplate(template) {
+    if (!template || typeof template.name !== 'string' || !template.name.trim() ||
+        !template.objective || typeof template.objective.title !== 'string' || !Array.isArray(template.keyResults)) {
+        throw new Error('Each template needs a name, an objective title and a keyResults list');
+    }
+    // Dates are placeholders like {{quarterStart+14}} or fixed YYYY-MM-DD dates
+    const templateDate = (value, fallback, where) => {
+        if (value === undefined || value === null || value === '') return fallback;
+        if (typeof value === 'string' && (DATE_PLACEHOLDER_PATTERN.test(value) || /^\d{4}-\d{2}-\d{2}$/.test(value))) return value;
+        throw new Error(`${where}: "${value}" is not a date or a {{quarterStart±days}} / {{quarterEnd±days}} placeholder`);
+    };
+    // Targets are numbers in the key result's direction, or {{target}} / {{target:100}} placeholders
+    const templateTarget = (kr, baseline, direction) => {
+        const target = kr.target ?? '{{target}}';
+        const parsed = parseTargetPlaceholder(target);
+        if (parsed.placeholder) {
+            if (parsed.value !== null && !Number.isFinite(parsed.value)) {
+                throw new Error(`Key result "${kr.title}": "${target}" is not a valid target placeholder`);
             }
-            return; // Already checked in today
+            return target;
         }
-        
-        kr.lastCheckin = today;
-        
-        // Track check-in change in history
-        addHistoryEntry('updated', 'keyresult', krId, kr.title, {
-            lastCheckin: {
-                from: oldCheckin || 'Never',
-                to: today
-            }
-        }, objective.group);
-        
-        recordProgressSnapshot(); // Record snapshot before saving
-        await saveToFile(); // Save including the snapshot
-        renderObjectives();
-        
-        // Visual feedback for successful check-in
-        if (button) {
-            button.style.transform = 'scale(1.2)';
-            setTimeout(() => {
-                button.style.transform = 'scale(1)';
-            }, 200);
+        if (typeof target === 'boolean' || String(target).trim() === '' || !Number.isFinite(parsed.value)) {
+            throw new Error(`Key result "${kr.title}": the target "${target}" is not a number or a {{target}} placeholder`);
         }
-    } catch (error) {
-        console.error('Error in quickCheckin:', error);
-    }
+        if (direction === 'increase' ? parsed.value <= baseline : parsed.value >= baseline) {
+            throw new Error(`Key result "${kr.title}": the target must be ${direction === 'increase' ? 'higher' : 'lower'} than the baseline (${baseline})`);
+        }
+        return parsed.value;
+    };
+    return {
+        id: generateId(),
+        name: template.name.trim(),
+        objective: {
+            title: template.objective.title,
+            purpose: template.objective.purpose || '',
+            group: template.objective.group || '',
+            startDate: templateDate(template.objective.startDate, '{{quarterStart}}', `Objective "${template.objective.title}" start date`),
+            targetDate: templateDate(template.objective.targetDate, '{{quarterEnd}}', `Objective "${template.objective.title}" target date`)
+        },
+        keyResults: template.keyResults.map(kr => {
+            if (!kr || typeof kr.title !== 'string') throw new Error('Each key result needs a title');
+            const type = KR_TYPES.includes(kr.type) ? kr.type : 'numeric';
+            const baseline = type === 'numeric' && kr.baseline !== undefined ? Number(kr.baseline) : 0;
+            if (!Number.isFinite(baseline)) throw new Error(`Key result "${kr.title}": the baseline "${kr.baseline}" is not a number`);
+            const direction = kr.direction === 'decrease' && type === 'numeric' ? 'decrease' : 'increase';
+            return {
+                title: kr.title,
+                type,
+                baseline,
+                target: type === 'numeric' ? templateTarget(kr, baseline, direction) : (type === 'binary' ? 1 : 100),
+                direction,
+                unit: type === 'numeric' ? kr.unit || '' : '',
+                precision: Math.min(MAX_KR_PRECISION, Math.max(0, parseInt(kr.precision) || 0)),
+                step: kr.step > 0 ? kr.step : 10,
+                weight: typeof kr.weight === 'number' ? kr.weight : Math.floor(100 / template.keyResults.length),
+                startDate: templateDate(kr.startDate, '{{quarterStart}}', `Key result "${kr.title}" start date`),
+                targetDate: templateDate(kr.targetDate, '{{quarterEnd}}', `Key result "${kr.title}" target date`),
+                milestones: (kr.milestones || []).map(m => ({ title: String(m.title), weight: m.weight > 0 ? m.weight : 1 })),
+                tasks: (kr.tasks || []).map(task => ({ title: String(task.title) }))
+            };
+        })
+    };
 }
 
-// Delete key result
-async function deleteKR(objectiveId, krId) {
-    const objective = data.objectives.find(obj => obj.id === objectiveId);
-    if (objective) {
-        const kr = objective.keyResults.find(k => k.id === krId);
-        if (kr) {
-            addHistoryEntry('deleted', 'keyresult', krId, kr.title, { deleted: true }, objective.group);
-        }
-        objective.keyResults = objective.keyResults.filter(k => k.id !== krId);
-        recordProgressSnapshot(); // Record snapshot before saving
-        await saveToFile(); // Save including the snapshot
-        // Update charts immediately to reflect deletion
-        updateDashboardCharts();
-        renderObjectives();
+async function handleTemplatesImport(file) {
+    if (!file) return;
+    let templates;
+    try {
+        const parsed = JSON.parse(await file.text());
+        const list = Array.isArray(parsed) ? parsed : parsed.templates;
+        if (!Array.isArray(list)) throw new Error('No templates list found');
+        templates = list.map(normalizeTemplate);
+    } catch (e) {
+        alert(`Could not import templates from ${file.name}: ${e.message}`);
+        return;
     }
+    recordUndo('Import templates');
+    // Templates with the same name are replaced
+    templates.forEach(template => {
+        const existing = data.templates.find(t => t.name.toLowerCase() === template.name.toLowerCase());
+        if (existing) {
+            template.id = existing.id;
+            data.templates = data.templates.map(t => t.id === existing.id ? template : t);
+        } else {
+            data.templates.push(template);
+        }
+    });
+    scheduleSave();
+    renderTemplateList();
+    showToast(`Imported ${templates.length} template${templates.length !== 1 ? 's' : ''}`);
 }
 
 // Open progress trends modal
@@ -1232,8 +4509,10 @@ function renderProgressTrends() {
     const container = document.getElementById('progress-trends-charts');
     if (!container) return;
     
-    // Get progress snapshots from history
-    const snapshots = (data.history || []).filter(h => h.type === 'progress-snapshot' && h.changes && h.changes.snapshot);
+    // Get progress snapshots from history (and the archive, when selected)
+    const range = document.getElementById('trends-range')?.value || 'recent';
+    const snapshots = [...data.history, ...(range === 'all' ? data.archive.snapshots : [])]
+        .filter(h => h.type === 'progress-snapshot' && h.changes && h.changes.snapshot);
     
     if (snapshots.length === 0) {
         container.innerHTML = `
@@ -1259,14 +4538,10 @@ function renderProgressTrends() {
     }
 }
 
-// Render grouped progress trends (one chart for Personal, Team, Company)
+// Render grouped progress trends (one line per group)
 function renderGroupedProgressTrends(container, snapshots) {
-    const groups = ['Personal', 'Team', 'Company'];
-    const groupColors = {
-        'Personal': '#10b981',
-        'Team': '#eab308',
-        'Company': '#3b82f6'
-    };
+    const groups = data.groups.map(group => group.name);
+    const groupColors = Object.fromEntries(data.groups.map(group => [group.name, getGroupColor(group.name)]));
     
     // Extract progress data by group
     const groupProgressData = {};
@@ -1279,7 +4554,7 @@ function renderGroupedProgressTrends(container, snapshots) {
     // Get current groups that have objectives (to filter out groups with no current objectives)
     const currentGroupsWithObjectives = new Set();
     (data.objectives || []).forEach(obj => {
-        currentGroupsWithObjectives.add(obj.group || 'Personal');
+        currentGroupsWithObjectives.add(obj.group);
     });
     
     snapshots.forEach(snapshot => {
@@ -1401,7 +4676,7 @@ function renderGroupedProgressTrends(container, snapshots) {
                     <!-- Data points -->
                     ${allPoints.map(p => `
                         <circle cx="${p.x}" cy="${p.y}" r="4" fill="${groupColors[p.group]}" stroke="var(--bg-card)" stroke-width="2">
-                            <title>${p.group}: ${p.date} - ${p.progress}% (${p.count} objective${p.count !== 1 ? 's' : ''})</title>
+                            <title>${escapeHtml(p.group)}: ${p.date} - ${p.progress}% (${p.count} objective${p.count !== 1 ? 's' : ''})</title>
                         </circle>
                     `).join('')}
                     
@@ -1425,7 +4700,7 @@ function renderGroupedProgressTrends(container, snapshots) {
                 ${paths.map(path => `
                     <div class="trend-legend-item">
                         <span class="trend-legend-color" style="background: ${path.color}"></span>
-                        <span class="trend-legend-label">${path.group}</span>
+                        <span class="trend-legend-label">${escapeHtml(path.group)}</span>
                         ${path.dataPoints.length > 0 ? `
                             <span class="trend-legend-value">${path.dataPoints[path.dataPoints.length - 1].progress}%</span>
                         ` : ''}
@@ -1528,7 +4803,7 @@ function renderIndividualProgressTrends(container, snapshots) {
             <div class="trend-chart-container">
                 <div class="trend-chart-header">
                     <h4>${escapeHtml(objData.title)}</h4>
-                    <span class="trend-group-badge trend-group-${objData.group.toLowerCase()}">${objData.group}</span>
+                    <span class="trend-group-badge" style="${getGroupBadgeStyle(objData.group)}">${escapeHtml(objData.group)}</span>
                 </div>
                 <div class="trend-chart-wrapper">
                     <svg class="trend-chart" viewBox="0 0 ${chartWidth} ${chartHeight}">
@@ -1613,6 +4888,7 @@ function setupProgressTrendsFilters() {
     const groupFilter = document.getElementById('trends-filter-group');
     const objectiveFilter = document.getElementById('trends-filter-objective');
     const viewModeRadios = document.querySelectorAll('input[name="trends-view"]');
+    const rangeFilter = document.getElementById('trends-range');
     
     if (groupFilter) {
         groupFilter.addEventListener('change', () => {
@@ -1624,6 +4900,9 @@ function setupProgressTrendsFilters() {
             renderProgressTrends();
         });
     }
+    if (rangeFilter) {
+        rangeFilter.addEventListener('change', renderProgressTrends);
+    }
     if (viewModeRadios.length > 0) {
         viewModeRadios.forEach(radio => {
             radio.addEventListener('change', () => {
@@ -1633,8 +4912,12 @@ function setupProgressTrendsFilters() {
     }
 }
 
+// Number of history entries shown; "Show older entries" pages further back into the archive
+let historyVisibleCount = HISTORY_PAGE_SIZE;
+
 // Open history modal
 function openHistoryModal() {
+    historyVisibleCount = HISTORY_PAGE_SIZE;
     renderHistory();
     document.getElementById('history-modal').classList.add('active');
 }
@@ -1648,7 +4931,8 @@ function renderHistory() {
     const filterGroup = document.getElementById('history-filter-group')?.value || 'all';
 
     // Exclude internal snapshot entries from the user-facing history view
-    let filteredHistory = data.history.filter(entry => entry.type !== 'progress-snapshot');
+    const archivedIds = new Set(data.archive.history.map(entry => entry.id));
+    let filteredHistory = [...data.history, ...data.archive.history].filter(entry => entry.type !== 'progress-snapshot');
     
     if (filterType !== 'all') {
         filteredHistory = filteredHistory.filter(entry => entry.itemType === filterType);
@@ -1677,26 +4961,32 @@ function renderHistory() {
         return;
     }
     
-    container.innerHTML = filteredHistory.map(entry => {
+    const hiddenCount = filteredHistory.length - historyVisibleCount;
+    container.innerHTML = filteredHistory.slice(0, historyVisibleCount).map(entry => {
         const date = new Date(entry.timestamp);
         const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-        const typeIcon = entry.itemType === 'objective' ? '🎯' : '📊';
-        const typeLabel = entry.itemType === 'objective' ? 'Objective' : 'Key Result';
+        const typeIcon = { objective: '🎯', group: '🏷️', backup: '💾' }[entry.itemType] || '📊';
+        const typeLabel = { objective: 'Objective', group: 'Group', backup: 'Backup' }[entry.itemType] || 'Key Result';
         
         let changeDescription = '';
         if (entry.type === 'created') {
-            changeDescription = ''; // Badge already shows "Created"
-        } else if (entry.type === 'deleted') {
-            changeDescription = ''; // Badge already shows "Deleted"
+            changeDescription = [ // Badge already shows "Created"
+                entry.changes.owner && `owner: ${escapeHtml(entry.changes.owner)}`,
+                entry.changes.template && `from template: ${escapeHtml(entry.changes.template)}`
+            ].filter(Boolean).join(', ');
+        } else if (entry.type === 'deleted' || entry.type === 'restored') {
+            changeDescription = ''; // Badge already shows "Deleted" or "Restored"
         } else if (entry.type === 'progress') {
-            changeDescription = `${entry.changes.progress.from} → ${entry.changes.progress.to}`; // Badge already shows "Progress"
-        } else if (entry.type === 'updated') {
+            const milestone = entry.changes.milestone;
+            changeDescription = (milestone ? `${milestone.done ? '☑' : '☐'} ${escapeHtml(milestone.title)}: ` : '') +
+                `${escapeHtml(entry.changes.progress.from)} → ${escapeHtml(entry.changes.progress.to)}`; // Badge already shows "Progress"
+        } else if (entry.type === 'updated' || entry.type === 'archived' || entry.type === 'rollover') {
             const changeList = Object.keys(entry.changes).map(key => {
                 const change = entry.changes[key];
                 if (key === 'status') {
                     return `${key}: ${getStatusLabel(change.from)} → ${getStatusLabel(change.to)}`;
                 }
-                return `${key}: ${change.from} → ${change.to}`;
+                return `${key}: ${escapeHtml(String(change.from))} → ${escapeHtml(String(change.to))}`;
             }).join(', ');
             changeDescription = changeList; // Badge already shows "Updated"
         }
@@ -1707,7 +4997,8 @@ function renderHistory() {
                     <span class="history-type-icon">${typeIcon}</span>
                     <span class="history-item-type">${typeLabel}</span>
                     <span class="history-item-title">${escapeHtml(entry.itemTitle)}</span>
-                    ${entry.group ? `<span class="history-group-badge history-group-${entry.group.toLowerCase()}">${entry.group}</span>` : ''}
+                    ${entry.group ? `<span class="history-group-badge" style="${getGroupBadgeStyle(entry.group)}">${escapeHtml(entry.group)}</span>` : ''}
+                    ${archivedIds.has(entry.id) ? '<span class="history-archived-badge">Archived</span>' : ''}
                     <span class="history-timestamp">${dateStr}</span>
                 </div>
                 <div class="history-entry-details">
@@ -1716,7 +5007,17 @@ function renderHistory() {
                 </div>
             </div>
         `;
-    }).join('');
+    }).join('') + (hiddenCount > 0 ? `
+        <button type="button" class="btn-secondary history-more" onclick="showOlderHistory()">
+            Show older entries (${hiddenCount} more)
+        </button>
+    ` : '');
+}
+
+// Page further back into the history (including archived entries)
+function showOlderHistory() {
+    historyVisibleCount += HISTORY_PAGE_SIZE;
+    renderHistory();
 }
 
 // Set up history filter listeners
@@ -1748,18 +5049,13 @@ function exportToText() {
     text += 'SUMMARY BY GROUP\n';
     text += '─'.repeat(40) + '\n';
     
-    const groups = ['Personal', 'Team', 'Company'];
+    const groups = data.groups.map(group => group.name);
+    const nameWidth = Math.max(12, ...groups.map(group => group.length + 1));
     groups.forEach(group => {
-        const objectives = data.objectives.filter(obj => (obj.group || 'Personal') === group);
+        const objectives = data.objectives.filter(obj => obj.group === group);
         const count = objectives.length;
-        let totalProgress = 0;
-        if (count > 0) {
-            objectives.forEach(obj => {
-                totalProgress += calculateProgress(obj);
-            });
-        }
-        const avgProgress = count > 0 ? Math.round(totalProgress / count) : 0;
-        text += `  ${group.padEnd(12)} ${count} objective(s)    ${avgProgress}% complete\n`;
+        const avgProgress = getWeightedProgress(objectives);
+        text += `  ${group.padEnd(nameWidth)} ${count} objective(s)    ${avgProgress}% complete\n`;
     });
     text += '\n' + '═'.repeat(60) + '\n\n';
     
@@ -1768,37 +5064,70 @@ function exportToText() {
         
         text += `OBJECTIVE ${index + 1}\n`;
         text += '─'.repeat(40) + '\n';
-        text += `Group:       ${obj.group || 'Personal'}\n`;
+        text += `Group:       ${obj.group}\n`;
+        text += `Owner:       ${getPersonName(obj.owner) || 'Unassigned'}\n`;
         text += `Period:      ${obj.year || ''} Q${obj.quarter || ''}\n`;
-        text += `Weight:      ${obj.weight || 100}%\n`;
-        const createdDate = obj.created || obj.createdAt;
-        text += `Created:     ${createdDate ? formatDateOnly(createdDate) : 'N/A'}\n`;
+        text += `Weight:      ${obj.weight}%\n`;
+        text += `Created:     ${obj.createdAt || 'N/A'}\n`;
         text += `Start Date:  ${obj.startDate || 'N/A'}\n`;
         text += `Due Date:    ${obj.targetDate || 'N/A'}\n`;
         text += `Last Check-in: ${obj.lastCheckin || 'N/A'}\n`;
-        text += `Progress:    ${progress}%\n\n`;
+        text += `Progress:    ${progress}%\n`;
+        if (obj.score) {
+            text += `Score:       ${formatScore(obj.score.value)}\n`;
+        }
+        text += '\n';
         text += `Title:\n${obj.title}\n`;
         if (obj.purpose) {
             text += `\nPurpose:\n${obj.purpose}\n`;
         }
+        if (describeParentLink(obj.parent)) {
+            text += `\nSupports:    ${describeParentLink(obj.parent)}\n`;
+        }
         
         if (obj.keyResults && obj.keyResults.length > 0) {
             text += '\nKey Results:\n';
             obj.keyResults.forEach((kr, krIndex) => {
                 const krProgress = getKRProgress(kr);
                 text += `\n  ${krIndex + 1}. ${kr.title}\n`;
-                text += `     Progress: ${kr.current}/${kr.target} (${krProgress}%)\n`;
-                    text += `     Status: ${getStatusLabel(kr.status || 'on-track')}\n`;
-                    text += `     Confidence: ${kr.confidence || 'Medium'}\n`;
-                    text += `     Weight: ${kr.weight || 100}%\n`;
-                    const krCreatedDate = kr.created || kr.createdAt;
-                    text += `     Created: ${krCreatedDate ? formatDateOnly(krCreatedDate) : 'N/A'}\n`;
+                text += `     Progress: ${formatKRProgressValue(kr)} (${krProgress}%)${kr.rollup ? ' (rolled up)' : ''}\n`;
+                if (kr.type === 'numeric' && kr.direction === 'decrease') {
+                    text += `     Direction: Decrease\n`;
+                }
+                kr.tasks.forEach(task => {
+                    const details = [getPersonName(task.owner), task.dueDate && `due ${task.dueDate}`].filter(Boolean).join(', ');
+                    text += `     Task: [${task.done ? 'x' : ' '}] ${task.title}${details ? ` (${details})` : ''}\n`;
+                });
+                kr.milestones.forEach(m => {
+                    text += `       [${m.done ? 'x' : ' '}] ${m.title}${m.weight !== 1 ? ` (weight ${m.weight})` : ''}\n`;
+                });
+                    text += `     Owner: ${getPersonName(kr.owner) || 'Unassigned'}\n`;
+                    text += `     Status: ${getStatusLabel(kr.status)}\n`;
+                    text += `     Confidence: ${kr.confidence}\n`;
+                    text += `     Weight: ${kr.weight}%\n`;
+                    if (kr.blockedBy.length > 0) {
+                        text += `     Blocked by: ${describeBlockers(kr.blockedBy)}${getOpenBlockers(kr).length === 0 ? ' (all done)' : ''}\n`;
+                    }
+                    text += `     Created: ${kr.createdAt || 'N/A'}\n`;
                 if (kr.startDate && kr.targetDate) {
                     text += `     Period: ${kr.startDate} → ${kr.targetDate}\n`;
                 }
                     text += `     Last Check-in: ${kr.lastCheckin || 'N/A'}\n`;
-                    if (kr.evidence) {
-                        text += `     Evidence:\n${kr.evidence.split('\n').map(line => `        ${line}`).join('\n')}\n`;
+                    kr.checkins.forEach(checkin => {
+                        const progress = formatCheckinProgress(kr, checkin);
+                        text += `       ${checkin.date}: ${progress ? `${progress}, ` : ''}${getStatusLabel(checkin.status)}, confidence ${checkin.confidence}`;
+                        text += `${checkin.note ? ` - ${checkin.note}` : ''}${checkin.blockers ? ` (Blockers: ${checkin.blockers})` : ''}\n`;
+                    });
+                    if (kr.evidence || kr.evidenceItems.length > 0) {
+                        text += `     Evidence:\n`;
+                        if (kr.evidence) {
+                            text += `${kr.evidence.split('\n').map(line => `        ${line}`).join('\n')}\n`;
+                        }
+                        kr.evidenceItems.forEach(item => {
+                            text += item.type === 'link'
+                                ? `        Link: ${item.title} - ${item.url}\n`
+                                : `        File: ${item.title} (${ATTACHMENTS_FOLDER}/${getAttachmentFileName(item)})\n`;
+                        });
                     }
                     if (kr.comments) {
                         text += `     Comments:\n${kr.comments.split('\n').map(line => `        ${line}`).join('\n')}\n`;
@@ -1809,12 +5138,20 @@ function exportToText() {
         text += '\n' + '═'.repeat(60) + '\n\n';
     });
     
+    // Archived objectives keep their scores, so the retrospective covers closed quarters too
+    text += buildRetrospectiveReport([...data.objectives, ...data.archive.objectives]);
+    
     // Download the file
-    const blob = new Blob([text], { type: 'text/plain' });
+    downloadBlob(text, `OKR-Report-${new Date().toISOString().split('T')[0]}.txt`, 'text/plain');
+}
+
+// Trigger a browser download of text content
+function downloadBlob(text, fileName, type) {
+    const blob = new Blob([text], { type: type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `OKR-Report-${new Date().toISOString().split('T')[0]}.txt`;
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -1822,8 +5159,90 @@ function exportToText() {
 }
 
 // Event Listeners
-document.getElementById('btn-open-file').addEventListener('click', openFile);
-document.getElementById('btn-new-file').addEventListener('click', createFile);
+document.getElementById('btn-open-file').addEventListener('click', () => {
+    storageMode === 'browser' ? importFromJSON() : openFile();
+});
+document.getElementById('btn-new-file').addEventListener('click', () => {
+    storageMode === 'browser' ? createBrowserWorkspace() : createFile();
+});
+document.getElementById('btn-download-json').addEventListener('click', downloadJSON);
+document.getElementById('btn-groups').addEventListener('click', openGroupsModal);
+document.getElementById('btn-add-group').addEventListener('click', addGroupDraft);
+document.getElementById('new-group-name').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        addGroupDraft();
+    }
+});
+document.getElementById('btn-save-groups').addEventListener('click', saveGroups);
+document.getElementById('btn-people').addEventListener('click', openPeopleModal);
+document.getElementById('btn-add-person').addEventListener('click', addPersonDraft);
+document.getElementById('new-person-name').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        addPersonDraft();
+    }
+});
+document.getElementById('btn-save-people').addEventListener('click', savePeople);
+['objective-owner', 'kr-owner'].forEach(id => {
+    document.getElementById(id).addEventListener('change', (e) => handleOwnerPickerChange(e.target));
+});
+document.getElementById('owner-filter').addEventListener('change', (e) => {
+    selectedOwnerFilter = e.target.value;
+    renderObjectives();
+});
+document.getElementById('btn-connect-server').addEventListener('click', () => {
+    storageMode === 'server' ? disconnectFromServer() : connectToServer();
+});
+document.getElementById('btn-backups').addEventListener('click', openBackupModal);
+document.getElementById('btn-encryption').addEventListener('click', openEncryptionModal);
+document.getElementById('passphrase-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    closeModal('passphrase-modal', 'ok');
+});
+document.getElementById('btn-backup-dir').addEventListener('click', chooseBackupDirectory);
+document.getElementById('btn-backup-now').addEventListener('click', async () => {
+    try {
+        if (await writeBackup(true)) {
+            await renderBackupList();
+        } else {
+            alert('Choose a backup folder first');
+        }
+    } catch (e) {
+        console.error('Backup failed:', e);
+        alert('Backup failed: ' + e.message);
+    }
+});
+document.getElementById('backup-list').addEventListener('change', (e) => {
+    previewBackup(e.target.value);
+});
+document.getElementById('btn-restore-backup').addEventListener('click', restoreBackup);
+document.getElementById('backup-settings-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const enabled = document.getElementById('backup-enabled').checked;
+    if (enabled && !backupDirHandle) {
+        alert('Choose a backup folder first');
+        return;
+    }
+    backupSettings = {
+        enabled: enabled,
+        everySaves: Math.max(0, parseInt(document.getElementById('backup-every-saves').value) || 0),
+        intervalMinutes: Math.max(0, parseInt(document.getElementById('backup-interval').value) || 0),
+        keep: Math.max(1, parseInt(document.getElementById('backup-keep').value) || 1)
+    };
+    saveBackupSettings();
+    closeModal('backup-modal');
+});
+
+// Scheduled backups: catch the interval even when no further saves happen
+setInterval(() => {
+    if (isBackupDue()) {
+        writeBackup().catch(e => console.warn('Scheduled backup failed:', e));
+    }
+}, 60 * 1000);
+document.getElementById('import-file-input').addEventListener('change', (e) => {
+    handleImportFile(e.target.files[0]);
+});
 document.getElementById('btn-export-txt').addEventListener('click', exportToText);
 document.getElementById('btn-add-objective').addEventListener('click', () => openObjectiveModal());
 
@@ -1839,7 +5258,10 @@ document.getElementById('objective-form').addEventListener('submit', async (e) =
         startDate: document.getElementById('objective-start-date').value,
         targetDate: document.getElementById('objective-target-date').value,
         weight: parseInt(document.getElementById('objective-weight').value),
-        lastCheckin: document.getElementById('objective-last-checkin').value
+        weightLocked: document.getElementById('objective-weight-locked').checked,
+        lastCheckin: document.getElementById('objective-last-checkin').value,
+        owner: document.getElementById('objective-owner').value || null,
+        parent: parseParentValue(document.getElementById('objective-parent').value)
     };
     if (formData.title) {
         await saveObjective(formData);
@@ -1847,28 +5269,113 @@ document.getElementById('objective-form').addEventListener('submit', async (e) =
     }
 });
 
+// "objectiveId" or "objectiveId/krId" from the Supports picker
+function parseParentValue(value) {
+    if (!value) return null;
+    const [objectiveId, krId] = value.split('/');
+    return { objectiveId, krId: krId || null };
+}
+
 document.getElementById('kr-form').addEventListener('submit', async (e) => {
     e.preventDefault();
     const objectiveId = document.getElementById('kr-objective-id').value;
     const editId = document.getElementById('kr-edit-id').value;
-    const title = document.getElementById('kr-title').value.trim();
-    const target = document.getElementById('kr-target').value;
-    const startDate = document.getElementById('kr-start-date').value;
-    const targetDate = document.getElementById('kr-target-date').value;
-    const weight = document.getElementById('kr-weight').value;
-    const status = document.getElementById('kr-status').value;
-    const confidence = document.getElementById('kr-confidence').value;
-    const lastCheckin = document.getElementById('kr-last-checkin').value;
-    const evidence = document.getElementById('kr-evidence').value.trim();
-    const comments = document.getElementById('kr-comments').value.trim();
-    if (title && target && startDate && targetDate) {
-        await saveKeyResult(objectiveId, title, target, startDate, targetDate, weight, status, confidence, lastCheckin, evidence, comments, editId || null);
+    const krData = {
+        title: document.getElementById('kr-title').value.trim(),
+        type: document.getElementById('kr-type').value,
+        milestones: [],
+        precision: Math.min(MAX_KR_PRECISION, Math.max(0, parseInt(document.getElementById('kr-precision').value) || 0)),
+        baseline: parseFloat(document.getElementById('kr-baseline').value) || 0,
+        target: parseFloat(document.getElementById('kr-target').value),
+        step: parseFloat(document.getElementById('kr-step').value),
+        direction: document.getElementById('kr-direction').value,
+        unit: document.getElementById('kr-unit').value.trim(),
+        startDate: document.getElementById('kr-start-date').value,
+        targetDate: document.getElementById('kr-target-date').value,
+        weight: parseInt(document.getElementById('kr-weight').value),
+        status: document.getElementById('kr-status').value,
+        confidence: document.getElementById('kr-confidence').value,
+        lastCheckin: document.getElementById('kr-last-checkin').value,
+        evidence: document.getElementById('kr-evidence').value.trim(),
+        comments: document.getElementById('kr-comments').value.trim(),
+        owner: document.getElementById('kr-owner').value || null,
+        rollup: document.getElementById('kr-rollup').checked,
+        taskDriven: document.getElementById('kr-task-driven').checked,
+        blockedBy: Array.from(document.getElementById('kr-blocked-by').selectedOptions).map(option => {
+            const [objectiveId, krId] = option.value.split('/');
+            return { objectiveId, krId };
+        })
+    };
+    if (krData.type === 'numeric') {
+        // Keep every decimal that was typed: raise the precision instead of rounding the values
+        const decimals = Math.max(countDecimals(krData.baseline), countDecimals(krData.target));
+        if (decimals > MAX_KR_PRECISION) {
+            alert(`Baseline and target can have at most ${MAX_KR_PRECISION} decimals.`);
+            return;
+        }
+        krData.precision = Math.max(krData.precision, decimals);
+    }
+    if (!(krData.step > 0)) krData.step = 10;
+    if (krData.type === 'binary') {
+        // Done / not done is stored as 0 → 1
+        Object.assign(krData, { baseline: 0, target: 1, direction: 'increase', unit: '', precision: 0, step: 1, rollup: false, taskDriven: false });
+    } else if (krData.type === 'milestone') {
+        krData.milestones = milestoneDrafts
+            .map(m => ({ ...m, title: m.title.trim() }))
+            .filter(m => m.title);
+        if (krData.milestones.length === 0) {
+            alert('Add at least one milestone.');
+            return;
+        }
+        Object.assign(krData, { baseline: 0, target: 100, direction: 'increase', unit: '', precision: 0, step: 10, rollup: false, taskDriven: false });
+    } else if (krData.direction === 'increase' ? krData.target <= krData.baseline : krData.target >= krData.baseline) {
+        // The target has to lie in the chosen direction from the baseline
+        alert(krData.direction === 'increase'
+            ? 'For an increasing key result the target must be higher than the baseline.'
+            : 'For a decreasing key result the target must be lower than the baseline.');
+        return;
+    }
+    if (krData.rollup && krData.taskDriven) {
+        alert('A key result can roll up from aligned objectives or follow its tasks, not both.');
+        return;
+    }
+    if (krData.title && !isNaN(krData.target) && krData.startDate && krData.targetDate) {
+        await saveKeyResult(objectiveId, krData, editId || null);
         closeModal();
     }
 });
 
+
 document.getElementById('btn-balance-objectives').addEventListener('click', balanceObjectiveWeights);
 
+document.getElementById('checkin-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const valueShown = document.getElementById('checkin-value-field').style.display !== 'none';
+    const value = parseFloat(document.getElementById('checkin-value').value);
+    await saveCheckin(
+        document.getElementById('checkin-objective-id').value,
+        document.getElementById('checkin-kr-id').value,
+        {
+            date: document.getElementById('checkin-date').value,
+            value: valueShown && !isNaN(value) ? value : undefined,
+            status: document.getElementById('checkin-status').value,
+            confidence: document.getElementById('checkin-confidence').value,
+            note: document.getElementById('checkin-note').value.trim(),
+            blockers: document.getElementById('checkin-blockers').value.trim()
+        }
+    );
+    closeModal('checkin-modal');
+});
+
+document.getElementById('kr-type').addEventListener('change', updateKRTypeFields);
+document.getElementById('btn-add-milestone').addEventListener('click', addMilestoneDraft);
+document.getElementById('new-milestone-title').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        addMilestoneDraft();
+    }
+});
+
 document.getElementById('btn-balance-krs').addEventListener('click', () => {
     const objectiveId = document.getElementById('kr-objective-id').value;
     if (objectiveId) {
@@ -1876,6 +5383,24 @@ document.getElementById('btn-balance-krs').addEventListener('click', () => {
     }
 });
 
+document.getElementById('btn-alignment').addEventListener('click', openAlignmentModal);
+document.getElementById('btn-dependencies').addEventListener('click', openDependenciesModal);
+document.getElementById('btn-close-quarter').addEventListener('click', openCloseQuarterModal);
+document.getElementById('btn-templates').addEventListener('click', openTemplatesModal);
+document.getElementById('btn-save-score').addEventListener('click', saveScores);
+document.getElementById('btn-clear-score').addEventListener('click', clearScores);
+document.getElementById('template-select').addEventListener('change', onTemplateSelected);
+document.getElementById('btn-use-template').addEventListener('click', createFromTemplate);
+document.getElementById('btn-export-templates').addEventListener('click', exportTemplates);
+document.getElementById('btn-import-templates').addEventListener('click', () => {
+    const input = document.getElementById('import-templates-input');
+    input.value = '';
+    input.click();
+});
+document.getElementById('import-templates-input').addEventListener('change', (e) => handleTemplatesImport(e.target.files[0]));
+document.getElementById('close-quarter-period').addEventListener('change', renderCloseQuarter);
+document.getElementById('btn-close-quarter-confirm').addEventListener('click', closeQuarter);
+
 document.getElementById('btn-progress-trends').addEventListener('click', () => {
     openProgressTrendsModal();
 });
@@ -1889,25 +5414,14 @@ document.getElementById('btn-help').addEventListener('click', () => {
 });
 
 // Set up click handlers for chart containers to filter by group
+// (one delegated handler, since the rings are rebuilt when the groups change)
 function setupChartClickHandlers() {
-    const chartContainers = ['chart-personal', 'chart-team', 'chart-company'];
-    chartContainers.forEach(chartId => {
-        const container = document.getElementById(chartId);
-        if (container) {
-            container.style.cursor = 'pointer';
-            // Remove existing event listeners by cloning
-            const newContainer = container.cloneNode(true);
-            container.parentNode.replaceChild(newContainer, container);
-            // Add click handler to the new container
-            const updatedContainer = document.getElementById(chartId);
-            if (updatedContainer) {
-                updatedContainer.addEventListener('click', () => {
-                    const group = updatedContainer.dataset.group;
-                    filterByGroup(group);
-                });
-            }
+    document.getElementById('dashboard-charts').onclick = (e) => {
+        const chart = e.target.closest('.chart-container');
+        if (chart) {
+            filterByGroup(chart.dataset.group);
         }
-    });
+    };
 }
 
 document.querySelectorAll('.close').forEach(btn => {
@@ -1917,6 +5431,12 @@ document.querySelectorAll('.close').forEach(btn => {
     });
 });
 
+document.querySelectorAll('[data-choice]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        closeModal(btn.closest('.modal').id, btn.dataset.choice);
+    });
+});
+
 document.querySelectorAll('.modal').forEach(modal => {
     modal.addEventListener('click', (e) => {
         if (e.target === modal) {
@@ -1931,31 +5451,183 @@ document.addEventListener('keydown', (e) => {
             closeModal(modal.id);
         });
     }
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) - leave text fields and open dialogs to the browser
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        const target = e.target;
+        const isTextField = target.closest('input, textarea, select, [contenteditable]');
+        if (isTextField || document.querySelector('.modal.active')) return;
+        e.preventDefault();
+        e.shiftKey ? redo() : undo();
+    }
 });
 
-// Check browser support and initial render
-if (!isFileSystemSupported) {
-    document.getElementById('objectives-container').innerHTML = `
-        <div class="empty-state">
-            <span>⚠️</span>
-            <p>Your browser doesn't support the File System Access API.<br>Please use Chrome, Edge, or Opera.</p>
-        </div>
-    `;
-    document.getElementById('btn-open-file').disabled = true;
-    document.getElementById('btn-new-file').disabled = true;
-    updateFileStatus();
-} else {
-    // Set up filter listeners once at startup
-    setupChartClickHandlers();
-    setupHistoryFilters();
-    setupProgressTrendsFilters();
-    // Try to restore last file, otherwise show empty state
-    tryRestoreLastFile().then(restored => {
-        if (!restored) {
-            renderObjectives();
-            updateFileStatus();
+document.getElementById('btn-save-retry').addEventListener('click', retrySave);
+document.getElementById('btn-save-as').addEventListener('click', saveAs);
+
+// Warn before leaving with changes that haven't reached the file yet
+window.addEventListener('beforeunload', (e) => {
+    if (saveState === 'saved') return;
+    if (saveState === 'unsaved') {
+        saveToFile(); // Best effort; the browser may not wait for it
+    }
+    e.preventDefault();
+    e.returnValue = '';
+});
+
+document.getElementById('toast-undo').addEventListener('click', () => {
+    document.getElementById('toast').hidden = true;
+    undo();
+});
+
+// Switch file buttons to Import/New Workspace when the File System Access API is unavailable
+function setupBrowserStorageControls() {
+    document.getElementById('btn-open-file').textContent = '📂 Import JSON';
+    document.getElementById('btn-open-file').title = 'Import a JSON file into browser storage';
+    document.getElementById('btn-new-file').textContent = '📄 New Workspace';
+    document.getElementById('btn-new-file').title = 'Start an empty workspace in browser storage';
+}
+
+function setupServerStorageControls() {
+    document.getElementById('btn-open-file').hidden = true;
+    document.getElementById('btn-new-file').hidden = true;
+    document.getElementById('btn-connect-server').textContent = '🌐 Disconnect Server';
+    document.getElementById('btn-connect-server').title = `Stop using ${serverUrl} and go back to working with a file`;
+}
+
+// Switch to server storage mode: check the server answers, offer to upload the
+// current objectives if the server is empty, then reload in server mode
+async function connectToServer() {
+    const suggested = location.protocol.startsWith('http') ? location.origin : 'http://localhost:8787';
+    const input = prompt('Address of the OKR Tracker server:', suggested);
+    if (!input) return;
+    const url = input.trim().replace(/\/+$/, '');
+    const token = (prompt('Access token (printed by the server when it starts, or its OKR_TOKEN setting):') || '').trim();
+    if (!token) return;
+    let remote;
+    let remoteModified;
+    try {
+        const response = await fetchServer('/api/data', {}, url, token);
+        remoteModified = response.headers.get('X-OKR-Last-Modified');
+        remote = await response.json();
+    } catch (e) {
+        alert(`Could not connect to an OKR Tracker server at ${url}:\n${e.message}`);
+        return;
+    }
+    // Write pending changes to the current file before leaving it
+    await saveToFile();
+    if (remote.objectives.length === 0 && data.objectives.length > 0 &&
+        confirm(`The server has no objectives yet. Upload your ${data.objectives.length} objective(s) to it?`)) {
+        try {
+            // Based on the empty document just read, so data someone uploaded meanwhile isn't replaced
+            await fetchServer('/api/data', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'X-OKR-Base-Modified': remoteModified },
+                body: JSON.stringify(data, null, 2)
+            }, url, token);
+        } catch (e) {
+            alert('Failed to upload data: ' + e.message);
+            return;
+        }
+    }
+    localStorage.setItem(SERVER_URL_KEY, url);
+    localStorage.setItem(SERVER_TOKEN_KEY, token);
+    localStorage.removeItem(LOCALSTORAGE_DATA_KEY);
+    location.reload();
+}
+
+// Leave server storage mode and reload in file (or browser storage) mode
+async function disconnectFromServer() {
+    if (!confirm(`Disconnect from ${serverUrl}? The data stays on the server.`)) return;
+    await saveToFile();
+    localStorage.removeItem(SERVER_URL_KEY);
+    localStorage.removeItem(SERVER_TOKEN_KEY);
+    localStorage.removeItem(LOCALSTORAGE_DATA_KEY);
+    location.reload();
+}
+
+// Pick up changes made by other people on the server while nothing is pending here
+function pollServer() {
+    if (storageMode !== 'server' || saveState !== 'saved' || document.hidden) return;
+    refreshFromStorage();
+}
+
+// Files opened with the installed app ("Open with" / double-click) arrive through the launch queue
+function setupFileHandling() {
+    if (!('launchQueue' in window)) return;
+    window.launchQueue.setConsumer(async (launchParams) => {
+        if (!launchParams.files || launchParams.files.length === 0) return;
+        const [handle] = launchParams.files;
+        try {
+            // Launched files come with read access only; ask for write access so saves work
+            await handle.requestPermission({ mode: 'readwrite' });
+        } catch (e) {
+            console.warn('Could not request write access to launched file:', e);
+        }
+        await openFileHandle(handle);
+    });
+}
+
+// Register the service worker (offline app shell) and offer a reload when a new version is waiting
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    const hadController = !!navigator.serviceWorker.controller;
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && hadController) {
+            showUpdateBanner(registration.waiting);
         }
-        // Record initial progress snapshot after data is loaded
-        recordProgressSnapshot();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
+        });
+    }).catch(e => {
+        console.warn('Service worker registration failed:', e);
     });
+    // The new worker took over: reload once to run the new version
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        location.reload();
+    });
+}
+
+// Show the "new version available" banner for a waiting service worker
+function showUpdateBanner(worker) {
+    const banner = document.getElementById('update-banner');
+    banner.hidden = false;
+    document.getElementById('btn-update-reload').onclick = async () => {
+        // Make sure pending changes reach the file before the page reloads
+        if (saveState !== 'saved') {
+            await saveToFile();
+        }
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+}
+
+// Initial render
+if (storageMode === 'browser') {
+    setupBrowserStorageControls();
+}
+if (storageMode === 'server') {
+    setupServerStorageControls();
+    setInterval(pollServer, SERVER_POLL_MS);
 }
+registerServiceWorker();
+setupFileHandling();
+// Set up filter listeners once at startup
+setupChartClickHandlers();
+setupHistoryFilters();
+setupProgressTrendsFilters();
+// Try to restore last file, otherwise show empty state
+tryRestoreLastFile().then(restored => {
+    if (!restored) {
+        renderObjectives();
+        updateFileStatus();
+    }
+    // Record initial progress snapshot after data is loaded
+    recordProgressSnapshot();
+});
@@ -0,0 +1,587 @@
+// OKR Tracker data model, shared by the app (app.js) and the server (server/server.js):
+// the document schema and its migrations, and how key result values and progress are
+// worked out. The browser loads it as a plain script before app.js, so its declarations are
+// globals there; Node loads it with require(). Keep it free of DOM and Node APIs.
+
+const ENCRYPTED_FORMAT = 'okr-tracker-encrypted';
+const SCHEMA_VERSION = 18; // Bump together with a new entry in `migrations`
+// Groups of a new data file, and the colours offered for groups added later
+const DEFAULT_GROUPS = [
+    { name: 'Personal', color: '#10b981' },
+    { name: 'Team', color: '#eab308' },
+    { name: 'Company', color: '#3b82f6' }
+];
+const GROUP_COLOR_PALETTE = ['#10b981', '#eab308', '#3b82f6', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+const GROUP_COLOR_PATTERN = /^#[0-9a-f]{6}$/i; // Group colours go into style attributes, so only #rrggbb is accepted
+const KR_TYPES = ['numeric', 'binary', 'milestone'];
+const MAX_KR_PRECISION = 4; // Decimal places a key result value can have
+
+// Generate unique ID
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substring(2);
+}
+
+// Format date to show only date part (YYYY-MM-DD)
+function formatDateOnly(dateString) {
+    if (!dateString) return '';
+    // If it's already in YYYY-MM-DD format, return as is
+    if (dateString.match(/^\d{4}-\d{2}-\d{2}$/)) {
+        return dateString;
+    }
+    // If it's an ISO string with time, extract just the date part
+    if (dateString.includes('T')) {
+        return dateString.split('T')[0];
+    }
+    return dateString;
+}
+
+// Create an empty data document at the current schema version
+function createEmptyData() {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        groups: DEFAULT_GROUPS.map(group => ({ ...group })),
+        people: [],
+        templates: [],
+        objectives: [],
+        history: [],
+        archive: { history: [], snapshots: [], objectives: [] }
+    };
+}
+
+// Schema migrations, applied in order to documents with an older schemaVersion.
+// Files written before versioning was introduced have no schemaVersion (treated as 0).
+// Each step calls note(message) once per item it changes, so the report can count them.
+const migrations = [
+    {
+        version: 1,
+        description: 'Ensure collections and unique ids',
+        migrate(doc, note) {
+            if (!Array.isArray(doc.objectives)) {
+                doc.objectives = [];
+                note('Added missing objectives list');
+            }
+            if (!Array.isArray(doc.history)) {
+                doc.history = [];
+                note('Added missing history list');
+            }
+            const objectiveIds = new Set();
+            doc.objectives.forEach(obj => {
+                if (!obj.id || objectiveIds.has(obj.id)) {
+                    obj.id = generateId();
+                    note('Assigned new id to objective');
+                }
+                objectiveIds.add(obj.id);
+                if (!Array.isArray(obj.keyResults)) {
+                    obj.keyResults = [];
+                    note('Added missing key results list');
+                }
+                const krIds = new Set();
+                obj.keyResults.forEach(kr => {
+                    if (!kr.id || krIds.has(kr.id)) {
+                        kr.id = generateId();
+                        note('Assigned new id to key result');
+                    }
+                    krIds.add(kr.id);
+                });
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Normalise dates',
+        migrate(doc, note) {
+            const normaliseDates = (item) => {
+                if (item.created !== undefined) {
+                    if (!item.createdAt) {
+                        item.createdAt = item.created;
+                    }
+                    delete item.created;
+                    note("Renamed 'created' to 'createdAt'");
+                }
+                ['createdAt', 'startDate', 'targetDate', 'lastCheckin'].forEach(field => {
+                    if (typeof item[field] === 'string' && item[field] !== formatDateOnly(item[field])) {
+                        item[field] = formatDateOnly(item[field]);
+                        note(`Trimmed time from ${field}`);
+                    }
+                });
+            };
+            doc.objectives.forEach(obj => {
+                normaliseDates(obj);
+                obj.keyResults.forEach(normaliseDates);
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Default objective and key result fields',
+        migrate(doc, note) {
+            doc.objectives.forEach(obj => {
+                if (!obj.group) {
+                    obj.group = 'Personal';
+                    note('Defaulted objective group to Personal');
+                }
+                if (typeof obj.weight !== 'number') {
+                    obj.weight = parseInt(obj.weight) || 100;
+                    note('Defaulted objective weight');
+                }
+                obj.keyResults.forEach(kr => {
+                    if (!kr.status) {
+                        kr.status = 'on-track';
+                        note('Defaulted key result status to On Track');
+                    }
+                    if (!kr.confidence) {
+                        kr.confidence = 'Medium';
+                        note('Defaulted key result confidence to Medium');
+                    }
+                    if (typeof kr.weight !== 'number') {
+                        kr.weight = parseInt(kr.weight) || 100;
+                        note('Defaulted key result weight');
+                    }
+                    if (typeof kr.target !== 'number' || !(kr.target > 0)) {
+                        kr.target = parseFloat(kr.target) > 0 ? parseFloat(kr.target) : 100;
+                        note('Converted key result target to a number');
+                    }
+                    if (typeof kr.current !== 'number') {
+                        kr.current = parseFloat(kr.current) || 0;
+                        note('Converted key result current value to a number');
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Add history archive',
+        migrate(doc, note) {
+            if (!doc.archive || typeof doc.archive !== 'object') {
+                doc.archive = {};
+            }
+            ['history', 'snapshots'].forEach(key => {
+                if (!Array.isArray(doc.archive[key])) {
+                    doc.archive[key] = [];
+                    note(`Added archive ${key} list`);
+                }
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Add user-defined groups',
+        migrate(doc, note) {
+            if (!Array.isArray(doc.groups)) {
+                doc.groups = DEFAULT_GROUPS.map(group => ({ ...group }));
+                note('Added the Personal, Team and Company groups');
+            }
+            // Objectives may use groups that aren't in the list (e.g. added through the API)
+            doc.objectives.forEach(obj => {
+                if (!doc.groups.some(group => group.name === obj.group)) {
+                    doc.groups.push({ name: obj.group, color: GROUP_COLOR_PALETTE[doc.groups.length % GROUP_COLOR_PALETTE.length] });
+                    note(`Added group '${obj.group}' used by an objective`);
+                }
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Add people and owners',
+        migrate(doc, note) {
+            if (!Array.isArray(doc.people)) {
+                doc.people = [];
+                note('Added people list');
+            }
+            doc.objectives.forEach(obj => {
+                [obj, ...obj.keyResults].forEach(item => {
+                    if (item.owner === undefined) {
+                        item.owner = null;
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Add objective alignment',
+        migrate(doc) {
+            doc.objectives.forEach(obj => {
+                if (obj.parent === undefined) {
+                    obj.parent = null;
+                }
+                obj.keyResults.forEach(kr => {
+                    if (kr.rollup === undefined) {
+                        kr.rollup = false;
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Add key result baseline, direction and unit',
+        migrate(doc) {
+            doc.objectives.forEach(obj => {
+                obj.keyResults.forEach(kr => {
+                    if (typeof kr.baseline !== 'number') {
+                        kr.baseline = 0;
+                    }
+                    if (kr.direction !== 'increase' && kr.direction !== 'decrease') {
+                        kr.direction = kr.target < kr.baseline ? 'decrease' : 'increase';
+                    }
+                    if (typeof kr.unit !== 'string') {
+                        kr.unit = '';
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 9,
+        description: 'Add key result types (numeric, binary, milestone)',
+        migrate(doc) {
+            doc.objectives.forEach(obj => {
+                obj.keyResults.forEach(kr => {
+                    if (!KR_TYPES.includes(kr.type)) {
+                        kr.type = 'numeric';
+                    }
+                    if (!Array.isArray(kr.milestones)) {
+                        kr.milestones = [];
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 10,
+        description: 'Add key result precision and increment',
+        migrate(doc) {
+            doc.objectives.forEach(obj => {
+                obj.keyResults.forEach(kr => {
+                    if (typeof kr.precision !== 'number') {
+                        // Enough decimals for the values already stored
+                        const decimals = [kr.baseline, kr.target, kr.current]
+                            .map(value => (String(value).split('.')[1] || '').length);
+                        kr.precision = Math.min(MAX_KR_PRECISION, Math.max(...decimals));
+                    }
+                    if (!(kr.step > 0)) {
+                        kr.step = 10;
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 11,
+        description: 'Add key result check-in records',
+        migrate(doc) {
+            doc.objectives.forEach(obj => {
+                obj.keyResults.forEach(kr => {
+                    if (!Array.isArray(kr.checkins)) {
+                        kr.checkins = [];
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 12,
+        description: 'Add key result tasks',
+        migrate(doc, note) {
+            doc.objectives.forEach(obj => {
+                obj.keyResults.forEach(kr => {
+                    // Key results added with schema 11 were created without a check-in list
+                    if (!Array.isArray(kr.checkins)) {
+                        kr.checkins = [];
+                        note('Added the missing check-in list of a key result');
+                    }
+                    if (!Array.isArray(kr.tasks)) {
+                        kr.tasks = [];
+                    }
+                    if (kr.taskDriven === undefined) {
+                        kr.taskDriven = false;
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 13,
+        description: 'Add archived objectives and carry-over links',
+        migrate(doc) {
+            if (!Array.isArray(doc.archive.objectives)) {
+                doc.archive.objectives = [];
+            }
+            doc.objectives.forEach(obj => {
+                if (obj.carriedOverFrom === undefined) {
+                    obj.carriedOverFrom = null;
+                }
+                obj.keyResults.forEach(kr => {
+                    if (kr.carriedOverFrom === undefined) {
+                        kr.carriedOverFrom = null;
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 14,
+        description: 'Add template library',
+        migrate(doc) {
+            if (!Array.isArray(doc.templates)) {
+                doc.templates = [];
+            }
+        }
+    },
+    {
+        version: 15,
+        description: 'Add end-of-quarter scores',
+        migrate(doc) {
+            [...doc.objectives, ...doc.archive.objectives].forEach(obj => {
+                if (obj.score === undefined) {
+                    obj.score = null;
+                }
+                obj.keyResults.forEach(kr => {
+                    if (kr.score === undefined) {
+                        kr.score = null;
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 16,
+        description: 'Add key result dependencies',
+        migrate(doc) {
+            [...doc.objectives, ...doc.archive.objectives].forEach(obj => {
+                obj.keyResults.forEach(kr => {
+                    if (!Array.isArray(kr.blockedBy)) {
+                        kr.blockedBy = [];
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 17,
+        description: 'Add structured evidence items',
+        migrate(doc) {
+            [...doc.objectives, ...doc.archive.objectives].forEach(obj => {
+                obj.keyResults.forEach(kr => {
+                    if (!Array.isArray(kr.evidenceItems)) {
+                        kr.evidenceItems = [];
+                    }
+                });
+            });
+        }
+    },
+    {
+        version: 18,
+        description: 'Add objective weight locks and balance weights per group and quarter',
+        migrate(doc, note) {
+            [...doc.objectives, ...doc.archive.objectives].forEach(obj => {
+                if (typeof obj.weightLocked !== 'boolean') {
+                    obj.weightLocked = false;
+                }
+            });
+            // Weights used to be balanced across a whole group; now each group's quarter adds up to 100%
+            const scopes = new Map();
+            doc.objectives.forEach(obj => {
+                const key = JSON.stringify([obj.group, String(obj.year), String(obj.quarter)]);
+                scopes.set(key, [...(scopes.get(key) || []), obj]);
+            });
+            scopes.forEach(objectives => {
+                if (objectives.reduce((sum, obj) => sum + obj.weight, 0) === 100) return;
+                const unlocked = objectives.filter(obj => !obj.weightLocked);
+                if (unlocked.length === 0) return;
+                const lockedWeight = objectives.filter(obj => obj.weightLocked).reduce((sum, obj) => sum + obj.weight, 0);
+                const remainingWeight = Math.max(0, 100 - lockedWeight);
+                const equalWeight = Math.floor(remainingWeight / unlocked.length);
+                const remainder = remainingWeight - (equalWeight * unlocked.length);
+                unlocked.forEach((obj, index) => {
+                    obj.weight = equalWeight + (index < remainder ? 1 : 0);
+                });
+                note(`Balanced the objective weights of ${objectives[0].group} ${objectives[0].year} Q${objectives[0].quarter}`);
+            });
+        }
+    }
+];
+
+// Upgrade a parsed data document to SCHEMA_VERSION, step by step.
+// Returns the migrated document and a report of what changed.
+function migrateData(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new Error('Not an OKR data file');
+    }
+    const fromVersion = Number(doc.schemaVersion) || 0;
+    const report = [];
+    if (fromVersion > SCHEMA_VERSION) {
+        report.push(`It uses schema version ${fromVersion}, which is newer than this app supports (${SCHEMA_VERSION}). Some data may not be shown, and changes are not saved.`);
+        sanitizeGroupColors(doc, message => report.push(message));
+        return { data: doc, report };
+    }
+    migrations.forEach(migration => {
+        if (migration.version <= fromVersion) return;
+        const counts = {};
+        migration.migrate(doc, (message) => {
+            counts[message] = (counts[message] || 0) + 1;
+        });
+        doc.schemaVersion = migration.version;
+        Object.keys(counts).forEach(message => {
+            report.push(`v${migration.version} ${migration.description}: ${message} (${counts[message]})`);
+        });
+    });
+    sanitizeGroupColors(doc, message => report.push(message));
+    return { data: doc, report };
+}
+
+// Replace group colours that aren't #rrggbb with a palette colour. Runs on every load,
+// not just in a migration, since files and server documents can be edited by hand.
+function sanitizeGroupColors(doc, note) {
+    if (!Array.isArray(doc.groups)) return;
+    doc.groups.forEach((group, index) => {
+        if (typeof group.color !== 'string' || !GROUP_COLOR_PATTERN.test(group.color)) {
+            group.color = GROUP_COLOR_PALETTE[index % GROUP_COLOR_PALETTE.length];
+            note(`Replaced the invalid colour of group '${group.name}'`);
+        }
+    });
+}
+
+// Documents from a newer version may hold fields this one doesn't know, so they are never written back
+function isNewerSchema(doc) {
+    return (Number(doc.schemaVersion) || 0) > SCHEMA_VERSION;
+}
+
+// Calculate objective progress based on key results (weighted)
+function calculateProgress(objective) {
+    if (!objective.keyResults || objective.keyResults.length === 0) {
+        return 0;
+    }
+    const totalWeight = objective.keyResults.reduce((sum, kr) => sum + kr.weight, 0);
+    if (totalWeight === 0) return 0;
+    const total = objective.keyResults.reduce((sum, kr) => {
+        return sum + getKRFraction(kr) * 100 * (kr.weight / totalWeight);
+    }, 0);
+    return Math.min(100, Math.round(total));
+}
+
+// Set roll-up key results to the average progress of the objectives aligned to them.
+// Repeated so roll-ups several levels deep settle (the objective form prevents cycles).
+function applyRollups(doc) {
+    // Task-driven key results can feed a roll-up, so settle them first
+    doc.objectives.forEach(obj => obj.keyResults.forEach(applyTaskProgress));
+    for (let pass = 0; pass < doc.objectives.length; pass++) {
+        let changed = false;
+        doc.objectives.forEach(obj => obj.keyResults.forEach(kr => {
+            if (!kr.rollup || kr.type !== 'numeric') return;
+            const children = doc.objectives.filter(child => child.parent &&
+                child.parent.objectiveId === obj.id && child.parent.krId === kr.id);
+            if (children.length === 0) return;
+            const average = children.reduce((sum, child) => sum + calculateProgress(child), 0) / children.length;
+            const current = roundKRValue(kr, kr.baseline + (average / 100) * (kr.target - kr.baseline));
+            if (kr.current !== current) {
+                kr.current = current;
+                changed = true;
+            }
+        }));
+        if (!changed) return;
+    }
+}
+
+// A task-driven key result's current value is the share of done tasks on its baseline → target scale
+function applyTaskProgress(kr) {
+    if (!kr.taskDriven || kr.type !== 'numeric' || kr.tasks.length === 0) return;
+    const share = kr.tasks.filter(task => task.done).length / kr.tasks.length;
+    kr.current = roundKRValue(kr, kr.baseline + share * (kr.target - kr.baseline));
+}
+
+function getKRProgress(kr) {
+    return Math.round(getKRFraction(kr) * 100);
+}
+
+// Share of the way from baseline to target (0-1). Works for both directions:
+// "reduce latency from 800 to 300" is half done at 550.
+function getKRFraction(kr) {
+    if (kr.type === 'milestone') return getMilestoneShare(kr);
+    const span = kr.target - kr.baseline;
+    if (span === 0) return 1;
+    return Math.max(0, Math.min(1, (kr.current - kr.baseline) / span));
+}
+
+// Weighted share of checked milestones (0-1)
+function getMilestoneShare(kr) {
+    const totalWeight = kr.milestones.reduce((sum, m) => sum + m.weight, 0);
+    if (totalWeight === 0) return 0;
+    return kr.milestones.reduce((sum, m) => sum + (m.done ? m.weight : 0), 0) / totalWeight;
+}
+
+// Lowest and highest value a key result's current value can take
+function getKRRange(kr) {
+    return [Math.min(kr.baseline, kr.target), Math.max(kr.baseline, kr.target)];
+}
+
+function clampKRValue(kr, value) {
+    const [min, max] = getKRRange(kr);
+    return Math.max(min, Math.min(max, value));
+}
+
+// Rounds a value to the key result's number of decimals (also drops float noise like 0.30000000000000004)
+function roundKRValue(kr, value) {
+    return Number(value.toFixed(kr.precision));
+}
+
+// Number of decimals a value is written with (1.25 → 2, 1e-7 → 7)
+function countDecimals(value) {
+    const [mantissa, exponent] = String(value).split('e');
+    return Math.max(0, (mantissa.split('.')[1] || '').length - (Number(exponent) || 0));
+}
+
+// A value with the key result's unit: "$1200", "45%", "300 ms", "120 users"
+function formatKRValue(kr, value) {
+    const number = formatKRNumber(kr, value);
+    if (!kr.unit) return number;
+    if (kr.unit === '$') return value < 0 ? `-$${number.slice(1)}` : `$${number}`;
+    if (kr.unit === '%') return `${number}%`;
+    return `${number} ${kr.unit}`;
+}
+
+// Large values are shown compactly (12.5K, 1.2M), others with the key result's decimals
+function formatKRNumber(kr, value) {
+    const compact = Math.abs(value) >= 10000;
+    return new Intl.NumberFormat(undefined, {
+        notation: compact ? 'compact' : 'standard',
+        maximumFractionDigits: compact ? Math.max(1, kr.precision) : kr.precision
+    }).format(value);
+}
+
+// "45 / 100 users" for a plain 0 → target key result, "550 ms (800 → 300 ms)" otherwise.
+// Binary key results show "Done" / "Not done", milestone key results "2 / 5 milestones".
+function formatKRProgressValue(kr, current = kr.current) {
+    if (kr.type === 'binary') {
+        return current >= kr.target ? 'Done' : 'Not done';
+    }
+    if (kr.type === 'milestone') {
+        const done = kr.milestones.filter(m => m.done).length;
+        return `${done} / ${kr.milestones.length} milestone${kr.milestones.length !== 1 ? 's' : ''}`;
+    }
+    if (kr.baseline === 0 && kr.direction === 'increase') {
+        return `${formatKRNumber(kr, current)} / ${formatKRValue(kr, kr.target)}`;
+    }
+    return `${formatKRValue(kr, current)} (${formatKRNumber(kr, kr.baseline)} → ${formatKRValue(kr, kr.target)})`;
+}
+
+// Progress string used in 'progress' history entries
+function formatKRProgressChange(kr, current = kr.current) {
+    const progress = Math.round(getKRFraction({ ...kr, current }) * 100);
+    return `${formatKRProgressValue(kr, current)} (${progress}%)`;
+}
+
+function isKRComplete(kr) {
+    return kr.status === 'completed' || getKRProgress(kr) >= 100;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        ENCRYPTED_FORMAT, SCHEMA_VERSION, DEFAULT_GROUPS, GROUP_COLOR_PALETTE, GROUP_COLOR_PATTERN, KR_TYPES, MAX_KR_PRECISION,
+        generateId, formatDateOnly, createEmptyData, migrations, migrateData, sanitizeGroupColors, isNewerSchema,
+        calculateProgress, applyRollups, applyTaskProgress, getKRProgress, getKRFraction, getMilestoneShare, getKRRange,
+        clampKRValue, roundKRValue, countDecimals, formatKRValue, formatKRNumber, formatKRProgressValue, formatKRProgressChange, isKRComplete
+    };
+}
@@ -0,0 +1,851 @@
+#!/usr/bin/env node
+// OKR Tracker server (optional): stores the same { objectives, history } document the
+// app writes to a local file, serves the app itself and exposes a small REST API.
+// No dependencies - run with `node server/server.js`.
+//
+// Environment:
+//   PORT           Port to listen on (default 8787)
+//   HOST           Interface to bind (default 127.0.0.1; use 0.0.0.0 to share on the network)
+//   OKR_DATA_FILE  Path of the JSON data file (default ./okr-data.json)
+//   OKR_TOKEN      Access token required for every change (default: a random token printed at start)
+//   OKR_ALLOWED_ORIGINS  Comma-separated origins of other pages that may use the API
+//                  (default none: only the app served by this server)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+// The document schema, migrations and key result maths are shared with the app
+const {
+    ENCRYPTED_FORMAT, generateId, createEmptyData, migrateData, sanitizeGroupColors, isNewerSchema,
+    applyRollups, clampKRValue, roundKRValue, formatKRProgressChange
+} = require('../model.js');
+
+const PORT = parseInt(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_FILE = path.resolve(process.env.OKR_DATA_FILE || 'okr-data.json');
+const APP_DIR = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const API_TOKEN = process.env.OKR_TOKEN || crypto.randomBytes(16).toString('hex');
+const ALLOWED_ORIGINS = (process.env.OKR_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Files of the app served from APP_DIR (nothing else in the folder is exposed)
+const STATIC_FILES = {
+    '/': ['index.html', 'text/html; charset=utf-8'],
+    '/index.html': ['index.html', 'text/html; charset=utf-8'],
+    '/app.js': ['app.js', 'text/javascript; charset=utf-8'],
+    '/model.js': ['model.js', 'text/javascript; charset=utf-8'],
+    '/styles.css': ['styles.css', 'text/css; charset=utf-8'],
+    '/sw.js': ['sw.js', 'text/javascript; charset=utf-8'],
+    '/manifest.webmanifest': ['manifest.webmanifest', 'application/manifest+json'],
+    '/icon.svg': ['icon.svg', 'image/svg+xml']
+};
+
+let data = null;
+let lastModified = 0; // Milliseconds; strictly increasing so clients can detect every write
+let writeChain = Promise.resolve();
+let savedText = null; // The document as last written, restored when a later write fails
+let savedModified = 0;
+
+// Error with an HTTP status, turned into a JSON error response
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Load the data file, upgraded to the current schema like the app does, or start with an empty document
+function loadData() {
+    let doc;
+    try {
+        doc = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        lastModified = Math.floor(fs.statSync(DATA_FILE).mtimeMs);
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        data = createEmptyData();
+        lastModified = Date.now();
+        rememberSavedData();
+        return;
+    }
+    if (doc && doc.format === ENCRYPTED_FORMAT) {
+        throw new Error(`${DATA_FILE} is encrypted; the server needs a plain JSON file (turn encryption off in the app first)`);
+    }
+    if (doc && isNewerSchema(doc)) {
+        throw new Error(`${DATA_FILE} uses schema version ${doc.schemaVersion}, written by a newer version of OKR Tracker; update the server`);
+    }
+    const { data: migrated, report } = migrateData(doc);
+    data = migrated;
+    sanitizeGroups(data);
+    rememberSavedData();
+    if (report.length > 0) {
+        console.log(`Upgraded ${DATA_FILE}:\n- ${report.join('\n- ')}`);
+        saveData().catch(e => console.error(`Could not save the upgraded ${DATA_FILE}:`, e));
+    }
+}
+
+// Remember the current document as the one on disk
+function rememberSavedData() {
+    savedText = JSON.stringify(data);
+    savedModified = lastModified;
+}
+
+// Groups need a name and a #rrggbb colour; other colours fall back to the palette
+function sanitizeGroups(doc) {
+    if (!Array.isArray(doc.groups)) throw new HttpError(400, 'groups must be an array');
+    doc.groups.forEach(group => requireString(group && group.name, 'group name'));
+    sanitizeGroupColors(doc, () => {});
+}
+
+// Write the document (via a temporary file so a crash never leaves half a file).
+// Writes run one after another; a failed write doesn't stop later ones, and if no
+// later write is queued the in-memory document goes back to the one last written.
+function saveData() {
+    applyRollups(data);
+    lastModified = Math.max(Date.now(), lastModified + 1);
+    const text = JSON.stringify(data, null, 2);
+    const modified = lastModified;
+    const write = writeChain.catch(() => {}).then(async () => {
+        const tmp = `${DATA_FILE}.tmp`;
+        await fs.promises.writeFile(tmp, text);
+        await fs.promises.rename(tmp, DATA_FILE);
+        savedText = text;
+        savedModified = modified;
+    });
+    writeChain = write;
+    write.catch(() => {
+        if (writeChain !== write) return; // A later write already includes this change
+        data = JSON.parse(savedText);
+        lastModified = savedModified;
+    });
+    return write;
+}
+
+// Same date format as the app
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+// Same entry shape as addHistoryEntry in app.js. The app moves entries beyond its
+// live limit into the archive the next time it saves.
+function addHistoryEntry(type, itemType, itemId, itemTitle, changes, group = null) {
+    data.history.unshift({
+        id: generateId(),
+        timestamp: new Date().toISOString(),
+        type,
+        itemType,
+        itemId,
+        itemTitle,
+        changes,
+        group
+    });
+}
+
+// Spread 100% evenly, like autoBalanceObjectiveWeights / autoBalanceKRWeights
+// Items with weightLocked keep their weight; the others share what is left
+function balanceWeights(items) {
+    const unlocked = items.filter(item => !item.weightLocked);
+    if (unlocked.length === 0) return;
+    const lockedWeight = items.filter(item => item.weightLocked).reduce((sum, item) => sum + item.weight, 0);
+    const remainingWeight = Math.max(0, 100 - lockedWeight);
+    const equalWeight = Math.floor(remainingWeight / unlocked.length);
+    const remainder = remainingWeight - (equalWeight * unlocked.length);
+    unlocked.forEach((item, index) => {
+        item.weight = equalWeight + (index < remainder ? 1 : 0);
+    });
+}
+
+// "Parent objective → parent key result", like describeParentLink in app.js
+function describeParentLink(parent) {
+    const objective = parent && data.objectives.find(o => o.id === parent.objectiveId);
+    if (!objective) return '';
+    const kr = parent.krId ? objective.keyResults.find(k => k.id === parent.krId) : null;
+    return kr ? `${objective.title} → ${kr.title}` : objective.title;
+}
+
+function findObjective(id) {
+    const objective = data.objectives.find(o => o.id === id);
+    if (!objective) throw new HttpError(404, `Objective ${id} not found`);
+    return objective;
+}
+
+function findKeyResult(objective, id) {
+    const kr = objective.keyResults.find(k => k.id === id);
+    if (!kr) throw new HttpError(404, `Key result ${id} not found`);
+    return kr;
+}
+
+// Fixes the scale of binary and milestone key results; for numeric ones the
+// target has to lie in the key result's direction from its baseline
+function requireScale(kr) {
+    // Done / not done is stored as 0 → 1, milestone progress comes from the checklist
+    if (kr.type === 'binary') Object.assign(kr, { baseline: 0, target: 1, direction: 'increase', precision: 0, step: 1, rollup: false, taskDriven: false });
+    if (kr.type === 'milestone') Object.assign(kr, { baseline: 0, target: 100, direction: 'increase', precision: 0, step: 10, rollup: false, taskDriven: false });
+    if (kr.rollup && kr.taskDriven) throw new HttpError(400, 'A key result cannot both roll up and be task-driven');
+    const baseline = kr.baseline || 0;
+    if (kr.direction === 'decrease' ? kr.target >= baseline : kr.target <= baseline) {
+        throw new HttpError(400, kr.direction === 'decrease'
+            ? 'target must be lower than baseline for a decreasing key result'
+            : 'target must be higher than baseline for an increasing key result');
+    }
+}
+
+// Editable fields and how to validate them
+const OBJECTIVE_FIELDS = {
+    title: requireString,
+    group: (value, field) => {
+        const name = requireString(value, field);
+        // Documents written by older versions of the app have no group list yet
+        if (Array.isArray(data.groups) && !data.groups.some(group => group.name === name)) {
+            throw new HttpError(400, `Unknown group '${name}'`);
+        }
+        return name;
+    },
+    year: requireYear,
+    quarter: optionalString,
+    purpose: optionalString,
+    startDate: optionalString,
+    targetDate: optionalString,
+    lastCheckin: optionalString,
+    weight: requireNumber,
+    weightLocked: value => {
+        if (typeof value !== 'boolean') throw new HttpError(400, 'weightLocked must be true or false');
+        return value;
+    },
+    owner: requireOwner,
+    parent: requireParent,
+    score: requireScore
+};
+
+const KEY_RESULT_FIELDS = {
+    title: requireString,
+    type: value => {
+        if (!['numeric', 'binary', 'milestone'].includes(value)) {
+            throw new HttpError(400, 'type must be numeric, binary or milestone');
+        }
+        return value;
+    },
+    // [{ title, weight?, done? }]; milestones without an id get one
+    milestones: value => {
+        if (!Array.isArray(value)) throw new HttpError(400, 'milestones must be an array');
+        return value.map(m => ({
+            id: m && typeof m.id === 'string' ? m.id : generateId(),
+            title: requireString(m && m.title, 'milestone title'),
+            weight: m.weight === undefined ? 1 : requireNumber(m.weight, 'milestone weight'),
+            done: m.done === true
+        }));
+    },
+    baseline: requireNumber,
+    target: requireNumber,
+    precision: value => {
+        if (!Number.isInteger(value) || value < 0 || value > 4) {
+            throw new HttpError(400, 'precision must be a whole number from 0 to 4');
+        }
+        return value;
+    },
+    step: value => {
+        if (!(requireNumber(value, 'step') > 0)) throw new HttpError(400, 'step must be greater than 0');
+        return value;
+    },
+    current: requireNumber,
+    direction: value => {
+        if (!['increase', 'decrease'].includes(value)) {
+            throw new HttpError(400, 'direction must be increase or decrease');
+        }
+        return value;
+    },
+    unit: optionalString,
+    startDate: optionalString,
+    targetDate: optionalString,
+    weight: requireNumber,
+    status: value => {
+        if (!['on-track', 'at-risk', 'off-track', 'completed'].includes(value)) {
+            throw new HttpError(400, 'status must be on-track, at-risk, off-track or completed');
+        }
+        return value;
+    },
+    confidence: value => {
+        if (!['High', 'Medium', 'Low'].includes(value)) {
+            throw new HttpError(400, 'confidence must be High, Medium or Low');
+        }
+        return value;
+    },
+    lastCheckin: optionalString,
+    evidence: optionalString,
+    comments: optionalString,
+    owner: requireOwner,
+    rollup: value => {
+        if (typeof value !== 'boolean') throw new HttpError(400, 'rollup must be true or false');
+        return value;
+    },
+    taskDriven: value => {
+        if (typeof value !== 'boolean') throw new HttpError(400, 'taskDriven must be true or false');
+        return value;
+    },
+    // [{ title, owner?, dueDate?, done? }]; tasks without an id get one
+    tasks: value => {
+        if (!Array.isArray(value)) throw new HttpError(400, 'tasks must be an array');
+        return value.map(task => ({
+            id: task && typeof task.id === 'string' ? task.id : generateId(),
+            title: requireString(task && task.title, 'task title'),
+            owner: task.owner === undefined ? null : requireOwner(task.owner, 'task owner'),
+            dueDate: optionalString(task.dueDate, 'task dueDate'),
+            done: task.done === true
+        }));
+    },
+    // [{ objectiveId, krId }] of upstream key results this one waits for
+    blockedBy: value => {
+        if (!Array.isArray(value)) throw new HttpError(400, 'blockedBy must be an array');
+        return value.map(link => {
+            const objective = findObjective(link && link.objectiveId);
+            return { objectiveId: objective.id, krId: findKeyResult(objective, link.krId).id };
+        });
+    },
+    // [{ type: 'link', title, url }] or [{ type: 'file', id, name, mimeType, size }];
+    // the server only keeps the reference, attachment files live next to the data file
+    evidenceItems: value => {
+        if (!Array.isArray(value)) throw new HttpError(400, 'evidenceItems must be an array');
+        return value.map(item => {
+            if (item && item.type === 'link') {
+                let url;
+                try {
+                    url = new URL(item.url);
+                } catch (e) {
+                    url = null;
+                }
+                if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                    throw new HttpError(400, 'evidence link url must be an http or https address');
+                }
+                return {
+                    id: item.id === undefined ? generateId() : requireId(item.id, 'evidence id'), type: 'link',
+                    title: item.title === undefined ? url.hostname : requireString(item.title, 'evidence title'),
+                    url: url.href, addedAt: item.addedAt || today()
+                };
+            }
+            if (item && item.type === 'file') {
+                return {
+                    id: requireId(item.id, 'attachment id'), type: 'file',
+                    title: item.title === undefined ? requireString(item.name, 'attachment name') : requireString(item.title, 'evidence title'),
+                    name: requireString(item.name, 'attachment name'),
+                    mimeType: optionalString(item.mimeType, 'attachment mimeType') || 'application/octet-stream',
+                    size: requireNumber(item.size, 'attachment size'), addedAt: item.addedAt || today()
+                };
+            }
+            throw new HttpError(400, 'evidence item type must be link or file');
+        });
+    },
+    score: requireScore
+};
+
+// Ids look like generateId() output; they end up in file names and markup
+function requireId(value, field) {
+    if (typeof value !== 'string' || !/^[a-z0-9]+$/.test(value)) {
+        throw new HttpError(400, `${field} must consist of lowercase letters and digits`);
+    }
+    return value;
+}
+
+function requireString(value, field) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new HttpError(400, `${field} must be a non-empty string`);
+    }
+    return value.trim();
+}
+
+function optionalString(value, field) {
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+        throw new HttpError(400, `${field} must be a string`);
+    }
+    return value || '';
+}
+
+// Owners are ids from the people list, or null for unassigned
+function requireOwner(value, field) {
+    if (value === null) return null;
+    if (!(data.people || []).some(person => person.id === value)) {
+        throw new HttpError(400, `${field} must be null or the id of someone in the people list`);
+    }
+    return value;
+}
+
+// Alignment link: null, or { objectiveId, krId } with krId null to align to the objective itself
+function requireParent(value, field) {
+    if (value === null) return null;
+    if (!value || typeof value !== 'object') {
+        throw new HttpError(400, `${field} must be null or { objectiveId, krId }`);
+    }
+    const objective = findObjective(value.objectiveId);
+    const krId = value.krId || null;
+    if (krId) {
+        findKeyResult(objective, krId);
+    }
+    return { objectiveId: objective.id, krId };
+}
+
+// Reject "blocked by" links from a key result to itself or to key results that already wait for it
+function requireDependencies(kr) {
+    const waitsFor = (item, upstreamId, seen) => {
+        if (seen.has(item.id)) return false;
+        seen.add(item.id);
+        return (item.blockedBy || []).some(link => {
+            const objective = data.objectives.find(o => o.id === link.objectiveId);
+            const upstream = objective && objective.keyResults.find(k => k.id === link.krId);
+            return upstream && (upstream.id === upstreamId || waitsFor(upstream, upstreamId, seen));
+        });
+    };
+    (kr.blockedBy || []).forEach(link => {
+        const objective = findObjective(link.objectiveId);
+        const upstream = findKeyResult(objective, link.krId);
+        if (upstream.id === kr.id || waitsFor(upstream, kr.id, new Set())) {
+            throw new HttpError(400, `Key result '${kr.title}' can't be blocked by '${upstream.title}': that would make it wait for itself`);
+        }
+    });
+}
+
+function describeBlocker(link) {
+    const objective = data.objectives.find(o => o.id === link.objectiveId);
+    const kr = objective && objective.keyResults.find(k => k.id === link.krId);
+    return kr ? kr.title : link.krId;
+}
+
+// Drop "blocked by" links to deleted key results
+function removeBlockerLinks(isRemoved) {
+    data.objectives.forEach(objective => objective.keyResults.forEach(kr => {
+        if (kr.blockedBy) kr.blockedBy = kr.blockedBy.filter(link => !isRemoved(link));
+    }));
+}
+
+// Whether linking `objective` to `parent` would make it (indirectly) its own parent
+function createsAlignmentCycle(objective, parent) {
+    for (let depth = 0; parent && depth <= data.objectives.length; depth++) {
+        if (parent.objectiveId === objective.id) return true;
+        const next = data.objectives.find(o => o.id === parent.objectiveId);
+        parent = next ? next.parent : null;
+    }
+    return false;
+}
+
+// End-of-quarter score: null, or { value (0-1), selfAssessment?, whatWorked?, whatDidnt?, lessons? }
+function requireScore(value, field) {
+    if (value === null) return null;
+    if (!value || typeof value !== 'object' || !(requireNumber(value.value, `${field} value`) >= 0 && value.value <= 1)) {
+        throw new HttpError(400, `${field} must be null or { value } with a value from 0 to 1`);
+    }
+    const score = {
+        value: value.value,
+        computed: value.computed === undefined ? value.value : requireNumber(value.computed, `${field} computed`),
+        scoredAt: value.scoredAt === undefined ? today() : optionalString(value.scoredAt, `${field} scoredAt`)
+    };
+    ['selfAssessment', 'whatWorked', 'whatDidnt', 'lessons'].forEach(key => {
+        score[key] = optionalString(value[key], `${field} ${key}`);
+    });
+    return score;
+}
+
+function requireNumber(value, field) {
+    if (typeof value !== 'number' || !isFinite(value)) {
+        throw new HttpError(400, `${field} must be a number`);
+    }
+    return value;
+}
+
+// Years are stored as numbers like in the app; "2026" is accepted too
+function requireYear(value, field) {
+    const year = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(year)) {
+        throw new HttpError(400, `${field} must be a whole number`);
+    }
+    return year;
+}
+
+// Apply the known fields of `body` to `item`; returns the history `changes` object.
+// Everything is validated first so a bad field leaves the item untouched.
+function applyFields(item, body, fields) {
+    const values = {};
+    Object.keys(fields).forEach(field => {
+        if (body[field] !== undefined) {
+            values[field] = fields[field](body[field], field);
+        }
+    });
+    const changes = {};
+    Object.entries(values).forEach(([field, value]) => {
+        if (item[field] !== value) {
+            // Lists (milestones, tasks, blockedBy, evidenceItems) are logged by title, scores by their value
+            const describe = current => {
+                if (Array.isArray(current)) return current.map(entry => entry.title || describeBlocker(entry)).join(', ');
+                if (current && typeof current === 'object' && field === 'score') return current.value;
+                return current === null && field === 'score' ? '' : current;
+            };
+            changes[field] = { from: item[field] === undefined ? '' : describe(item[field]), to: describe(value) };
+            item[field] = value;
+        }
+    });
+    return changes;
+}
+
+// Route handlers: (params, body, query) => response body
+const routes = [
+    ['GET', '/api/data', () => data],
+    ['GET', '/api/data/last-modified', () => ({ lastModified })],
+    ['PUT', '/api/data', (params, body, query, req) => {
+        if (body && body.format === ENCRYPTED_FORMAT) {
+            throw new HttpError(400, 'Encrypted documents are not supported by the server');
+        }
+        if (!body || typeof body !== 'object' || !Array.isArray(body.objectives)) {
+            throw new HttpError(400, 'Expected an OKR data document with an objectives list');
+        }
+        if (isNewerSchema(body)) {
+            throw new HttpError(400, `The document uses schema version ${body.schemaVersion}, which is newer than this server supports`);
+        }
+        // Refuse to overwrite a newer version than the client last saw
+        const base = req.headers['x-okr-base-modified'];
+        if (base === undefined) {
+            throw new HttpError(428, 'Send X-OKR-Base-Modified with the lastModified the document was based on');
+        }
+        if (Number(base) !== lastModified) {
+            throw new HttpError(409, 'The data on the server changed since it was loaded');
+        }
+        const { data: doc } = migrateData(body);
+        sanitizeGroups(doc);
+        data = doc;
+        return saveData().then(() => ({ lastModified }));
+    }],
+
+    ['GET', '/api/groups', () => data.groups || []],
+    ['GET', '/api/people', () => data.people || []],
+
+    ['GET', '/api/objectives', (params, body, query) => {
+        return data.objectives.filter(obj =>
+            (!query.group || obj.group === query.group) &&
+            (!query.year || String(obj.year) === query.year) &&
+            (!query.quarter || obj.quarter === query.quarter));
+    }],
+    ['POST', '/api/objectives', (params, body) => {
+        const defaultGroup = Array.isArray(data.groups) && data.groups.length > 0 ? data.groups[0].name : 'Personal';
+        const objective = { id: generateId(), group: defaultGroup, owner: null, parent: null, carriedOverFrom: null, score: null, weight: 0, weightLocked: false, keyResults: [], createdAt: today() };
+        applyFields(objective, body, OBJECTIVE_FIELDS);
+        requireString(objective.title, 'title');
+        data.objectives.push(objective);
+        // Objective weights add up to 100 per group and quarter, like in app.js
+        balanceWeights(data.objectives.filter(o => o.group === objective.group &&
+            String(o.year) === String(objective.year) && String(o.quarter) === String(objective.quarter)));
+        addHistoryEntry('created', 'objective', objective.id, objective.title, { created: true }, objective.group);
+        return saveData().then(() => objective);
+    }],
+    ['GET', '/api/objectives/:objectiveId', (params) => findObjective(params.objectiveId)],
+    ['PATCH', '/api/objectives/:objectiveId', (params, body) => {
+        const objective = findObjective(params.objectiveId);
+        if (body.parent && createsAlignmentCycle(objective, requireParent(body.parent, 'parent'))) {
+            throw new HttpError(400, 'An objective cannot support itself or an objective aligned below it');
+        }
+        const oldParent = describeParentLink(objective.parent);
+        const changes = applyFields(objective, body, OBJECTIVE_FIELDS);
+        if (Object.keys(changes).length === 0) return objective;
+        // Same history wording as the app
+        if (changes.parent) {
+            delete changes.parent;
+            changes.alignedTo = { from: oldParent || 'None', to: describeParentLink(objective.parent) || 'None' };
+        }
+        addHistoryEntry('updated', 'objective', objective.id, objective.title, changes, objective.group);
+        return saveData().then(() => objective);
+    }],
+    ['DELETE', '/api/objectives/:objectiveId', (params) => {
+        const objective = findObjective(params.objectiveId);
+        data.objectives = data.objectives.filter(o => o !== objective);
+        removeBlockerLinks(link => link.objectiveId === objective.id);
+        // Objectives aligned to it are no longer aligned
+        data.objectives.forEach(child => {
+            if (child.parent && child.parent.objectiveId === objective.id) {
+                child.parent = null;
+            }
+        });
+        addHistoryEntry('deleted', 'objective', objective.id, objective.title, { deleted: true }, objective.group);
+        return saveData().then(() => ({ deleted: objective.id }));
+    }],
+
+    ['GET', '/api/objectives/:objectiveId/key-results', (params) => findObjective(params.objectiveId).keyResults],
+    ['POST', '/api/objectives/:objectiveId/key-results', (params, body) => {
+        const objective = findObjective(params.objectiveId);
+        const kr = {
+            id: generateId(), type: 'numeric', milestones: [], baseline: 0, target: 100, direction: 'increase', unit: '',
+            precision: 0, step: 10, checkins: [], tasks: [], taskDriven: false, blockedBy: [], evidenceItems: [], carriedOverFrom: null, score: null, weight: 0, status: 'on-track', confidence: 'Medium', owner: null, rollup: false, createdAt: today()
+        };
+        applyFields(kr, body, KEY_RESULT_FIELDS);
+        requireString(kr.title, 'title');
+        requireScale(kr);
+        requireDependencies(kr);
+        // New key results start at their baseline
+        kr.current = clampKRValue(kr, roundKRValue(kr, kr.current === undefined ? kr.baseline : kr.current));
+        objective.keyResults.push(kr);
+        balanceWeights(objective.keyResults);
+        addHistoryEntry('created', 'keyresult', kr.id, kr.title, { created: true }, objective.group);
+        return saveData().then(() => kr);
+    }],
+    ['GET', '/api/objectives/:objectiveId/key-results/:krId', (params) => {
+        return findKeyResult(findObjective(params.objectiveId), params.krId);
+    }],
+    ['PATCH', '/api/objectives/:objectiveId/key-results/:krId', (params, body) => {
+        const objective = findObjective(params.objectiveId);
+        const kr = findKeyResult(objective, params.krId);
+        const oldCurrent = kr.current;
+        // Check the combined baseline/target/direction before touching the stored key result
+        const updated = { ...kr };
+        applyFields(updated, body, KEY_RESULT_FIELDS);
+        requireScale(updated);
+        requireDependencies(updated);
+        const changes = applyFields(kr, body, KEY_RESULT_FIELDS);
+        requireScale(kr);
+        kr.current = clampKRValue(kr, roundKRValue(kr, kr.current));
+        if (Object.keys(changes).length === 0) return kr;
+        // Progress changes get their own 'progress' entry, like the +/- buttons and slider
+        if (changes.current) {
+            delete changes.current;
+            addHistoryEntry('progress', 'keyresult', kr.id, kr.title, {
+                progress: {
+                    from: formatKRProgressChange(kr, oldCurrent),
+                    to: formatKRProgressChange(kr, kr.current),
+                    delta: roundKRValue(kr, kr.current - oldCurrent)
+                }
+            }, objective.group);
+        }
+        if (Object.keys(changes).length > 0) {
+            addHistoryEntry('updated', 'keyresult', kr.id, kr.title, changes, objective.group);
+        }
+        return saveData().then(() => kr);
+    }],
+    ['DELETE', '/api/objectives/:objectiveId/key-results/:krId', (params) => {
+        const objective = findObjective(params.objectiveId);
+        const kr = findKeyResult(objective, params.krId);
+        objective.keyResults = objective.keyResults.filter(k => k !== kr);
+        removeBlockerLinks(link => link.krId === kr.id);
+        // Objectives aligned to the key result stay aligned to its objective
+        data.objectives.forEach(child => {
+            if (child.parent && child.parent.objectiveId === objective.id && child.parent.krId === kr.id) {
+                child.parent = { objectiveId: objective.id, krId: null };
+            }
+        });
+        addHistoryEntry('deleted', 'keyresult', kr.id, kr.title, { deleted: true }, objective.group);
+        return saveData().then(() => ({ deleted: kr.id }));
+    }],
+
+    ['GET', '/api/objectives/:objectiveId/key-results/:krId/check-ins', (params) => {
+        return findKeyResult(findObjective(params.objectiveId), params.krId).checkins || [];
+    }],
+    // Check-in: stores a check-in record (date default today, optional current value, status,
+    // confidence, note and blockers) and updates the key result like the check-in dialog
+    ['POST', '/api/objectives/:objectiveId/key-results/:krId/check-ins', (params, body) => {
+        const objective = findObjective(params.objectiveId);
+        const kr = findKeyResult(objective, params.krId);
+        const date = body.date !== undefined ? requireString(body.date, 'date') : today();
+        const values = {};
+        ['status', 'confidence'].forEach(field => {
+            if (body[field] !== undefined) values[field] = KEY_RESULT_FIELDS[field](body[field], field);
+        });
+        const note = optionalString(body.note, 'note');
+        const blockers = optionalString(body.blockers, 'blockers');
+        if (body.current !== undefined) {
+            const oldCurrent = kr.current;
+            kr.current = clampKRValue(kr, roundKRValue(kr, requireNumber(body.current, 'current')));
+            if (kr.current !== oldCurrent) {
+                addHistoryEntry('progress', 'keyresult', kr.id, kr.title, {
+                    progress: {
+                        from: formatKRProgressChange(kr, oldCurrent),
+                        to: formatKRProgressChange(kr, kr.current),
+                        delta: roundKRValue(kr, kr.current - oldCurrent)
+                    }
+                }, objective.group);
+            }
+        }
+        const changes = { checkin: { from: '', to: date } };
+        Object.entries(values).forEach(([field, value]) => {
+            if (kr[field] !== value) changes[field] = { from: kr[field], to: value };
+            kr[field] = value;
+        });
+        if (!kr.lastCheckin || date > kr.lastCheckin) {
+            changes.lastCheckin = { from: kr.lastCheckin || 'Never', to: date };
+            kr.lastCheckin = date;
+        }
+        if (note) changes.note = { from: '', to: note };
+        if (blockers) changes.blockers = { from: '', to: blockers };
+        if (!Array.isArray(kr.checkins)) kr.checkins = [];
+        const checkin = {
+            id: generateId(), date, value: kr.current, status: kr.status,
+            confidence: kr.confidence, note, blockers
+        };
+        if (kr.type === 'milestone') {
+            checkin.milestonesDone = kr.milestones.filter(m => m.done).length;
+            checkin.milestoneCount = kr.milestones.length;
+        }
+        kr.checkins.push(checkin);
+        kr.checkins.sort((a, b) => a.date.localeCompare(b.date));
+        addHistoryEntry('updated', 'keyresult', kr.id, kr.title, changes, objective.group);
+        return saveData().then(() => checkin);
+    }],
+
+    // History, newest first; ?type=, ?itemId= and ?limit= narrow it down
+    ['GET', '/api/history', (params, body, query) => {
+        const limit = parseInt(query.limit) || data.history.length;
+        return data.history
+            .filter(entry => (!query.type || entry.type === query.type) &&
+                (!query.itemId || entry.itemId === query.itemId))
+            .slice(0, limit);
+    }]
+];
+
+// Find the route for a request; returns [handler, params] or null
+function matchRoute(method, pathname) {
+    const parts = pathname.replace(/\/+$/, '').split('/');
+    for (const [routeMethod, pattern, handler] of routes) {
+        const patternParts = pattern.split('/');
+        if (patternParts.length !== parts.length) continue;
+        const params = {};
+        const matches = patternParts.every((part, i) => {
+            if (part.startsWith(':')) {
+                try {
+                    params[part.slice(1)] = decodeURIComponent(parts[i]);
+                } catch (e) {
+                    throw new HttpError(400, `Malformed path segment '${parts[i]}'`);
+                }
+                return true;
+            }
+            return part === parts[i];
+        });
+        if (matches && routeMethod === method) return [handler, params];
+    }
+    return null;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) return resolve(null);
+            try {
+                resolve(JSON.parse(text));
+            } catch (e) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'X-OKR-Last-Modified': String(lastModified)
+    });
+    res.end(JSON.stringify(body));
+}
+
+function serveStatic(req, res, pathname) {
+    const entry = STATIC_FILES[pathname];
+    if (req.method !== 'GET' || !entry) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+    fs.readFile(path.join(APP_DIR, entry[0]), (err, content) => {
+        if (err) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Could not read ' + entry[0]);
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': entry[1], 'Cache-Control': 'no-cache' });
+        res.end(content);
+    });
+}
+
+// Constant-time check of the "Authorization: Bearer <token>" header
+function hasValidToken(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(API_TOKEN);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Requests from other web pages are refused unless their origin is allow-listed,
+// so a page the user happens to visit can't read or change the data
+function checkOrigin(req, url) {
+    // Bound to this machine only: refuse other host names (DNS rebinding)
+    if (LOOPBACK_HOSTS.includes(new URL(`http://${HOST}`).hostname) && !LOOPBACK_HOSTS.includes(url.hostname)) {
+        throw new HttpError(403, `Requests for host ${url.hostname} are not accepted`);
+    }
+    const origin = req.headers.origin;
+    if (origin && origin !== url.origin && !ALLOWED_ORIGINS.includes(origin)) {
+        throw new HttpError(403, `Origin ${origin} is not allowed; add it to OKR_ALLOWED_ORIGINS`);
+    }
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    // Let allow-listed pages (e.g. the app opened from another address) use the API
+    const origin = req.headers.origin;
+    if (origin && ALLOWED_ORIGINS.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-OKR-Base-Modified');
+        res.setHeader('Access-Control-Expose-Headers', 'X-OKR-Last-Modified');
+    }
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    if (!url.pathname.startsWith('/api/')) {
+        serveStatic(req, res, url.pathname);
+        return;
+    }
+    try {
+        checkOrigin(req, url);
+        // A token that is sent is always checked, so the app can verify it when connecting
+        if ((WRITE_METHODS.includes(req.method) || req.headers.authorization) && !hasValidToken(req)) {
+            throw new HttpError(401, 'Changes need the access token: send "Authorization: Bearer <token>"');
+        }
+        const route = matchRoute(req.method, url.pathname);
+        if (!route) throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+        const [handler, params] = route;
+        const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : null;
+        if (['POST', 'PATCH'].includes(req.method) && (!body || typeof body !== 'object' || Array.isArray(body))) {
+            // Check-ins may be posted without a body
+            if (body !== null || !url.pathname.endsWith('/check-ins')) {
+                throw new HttpError(400, 'Expected a JSON object');
+            }
+        }
+        const query = Object.fromEntries(url.searchParams);
+        const result = await handler(params, body || {}, query, req);
+        sendJson(res, req.method === 'POST' ? 201 : 200, result);
+    } catch (e) {
+        if (!(e instanceof HttpError)) {
+            console.error(e);
+        }
+        sendJson(res, e.status || 500, { error: e.message });
+    }
+}
+
+loadData();
+http.createServer(handleRequest).listen(PORT, HOST, () => {
+    console.log(`OKR Tracker server on http://${HOST}:${PORT}/ (data file: ${DATA_FILE})`);
+    if (!process.env.OKR_TOKEN) {
+        console.log(`Access token: ${API_TOKEN} (set OKR_TOKEN to keep the same token across restarts)`);
+    }
+});
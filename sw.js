@@ -0,0 +1,54 @@
+// OKR Tracker service worker: precaches the app shell so the tracker opens offline.
+// CACHE_VERSION is the app version plus a build counter. Bump the counter whenever a file in
+// APP_SHELL changes, and reset it with each release, or clients keep serving the old files.
+const CACHE_VERSION = '2.0.6-4';
+const CACHE_NAME = `okr-tracker-${CACHE_VERSION}`;
+const APP_SHELL = [
+    './',
+    'index.html',
+    'model.js',
+    'app.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+// Remove caches of previous versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys.filter(key => key.startsWith('okr-tracker-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))
+        )).then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over when the user clicks "Reload"
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Cache first for the app shell; navigations (including file launches) fall back to index.html
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).catch(() => {
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                throw new Error('Offline and not cached: ' + request.url);
+            });
+        })
+    );
+});